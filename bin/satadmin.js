@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+// bin/satadmin.js - Command-line admin tool for the MAC whitelist
+//
+// Talks to the deployed API (/api/mac-auth) with an admin key or API token, or works directly
+// on local data through MACDatabase with --local (the configured storage backend) or
+// --data-dir <dir> (a JSON whitelist in that directory).
+//
+// Settings come from flags, then the environment, then a JSON config file
+// (--config <file>, SATADMIN_CONFIG or ~/.satadmin.json) holding { url, token, dataDir }.
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { parseCsv, toCsv } from '../lib/csv.js';
+
+const ACCESS_TYPES = ['trial', 'unlimited', 'admin'];
+
+const LIST_COLUMNS = ['macAddress', 'description', 'accessType', 'status', 'group', 'lastSeen', 'accessCount', 'addedAt'];
+const LOG_COLUMNS = ['timestamp', 'action', 'outcome', 'macAddress', 'actor', 'ip', 'message'];
+
+const OPTIONS = {
+    url: { type: 'string' },
+    token: { type: 'string' },
+    config: { type: 'string' },
+    local: { type: 'boolean' },
+    'data-dir': { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    description: { type: 'string', short: 'd' },
+    'access-type': { type: 'string', short: 't' },
+    group: { type: 'string', short: 'g' },
+    'trial-days': { type: 'string' },
+    'trial-max-launches': { type: 'string' },
+    status: { type: 'string' },
+    search: { type: 'string', short: 's' },
+    mac: { type: 'string' },
+    outcome: { type: 'string' },
+    limit: { type: 'string', short: 'n' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function usage() {
+    console.log('🛠️  SAT Helper whitelist admin');
+    console.log('============================');
+    console.log('');
+    console.log('Usage: node bin/satadmin.js <command> [arguments] [options]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  add <mac>          Whitelist a device (-d description, -t access type, -g group,');
+    console.log('                     --trial-days N, --trial-max-launches N)');
+    console.log('  remove <mac>       Remove a device from the whitelist');
+    console.log('  update <mac>       Change a device (-t access type, -d description, trial options)');
+    console.log('  list               List devices (-f table|json|csv, -s search, --status, -g group)');
+    console.log('  import <file>      Bulk add from CSV (macAddress,description,accessType) or a JSON array');
+    console.log('                     (-t sets the access type for rows without one)');
+    console.log('  logs               Show the access log (--mac, --outcome, -n limit, -f table|json|csv)');
+    console.log('  health             Show API or storage health');
+    console.log('');
+    console.log('Connection:');
+    console.log('  --url URL          API base URL (SATADMIN_URL)');
+    console.log('  --token TOKEN      Admin key or API token (SATADMIN_TOKEN, else ADMIN_SECRET_KEY)');
+    console.log('  --local            Use the locally configured storage instead of the API');
+    console.log('  --data-dir DIR     Use the JSON whitelist in DIR instead of the API (SATADMIN_DATA_DIR)');
+    console.log('  --config FILE      JSON config file (SATADMIN_CONFIG, default ~/.satadmin.json)');
+}
+
+function fail(message) {
+    console.error(`❌ ${message}`);
+    process.exit(1);
+}
+
+async function readConfigFile(file, explicit) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        // The default file is optional; one named explicitly is not
+        if (error.code === 'ENOENT' && !explicit) return {};
+        fail(`Cannot read config file ${file}: ${error.message}`);
+    }
+}
+
+async function loadSettings(options, env = process.env) {
+    const configPath = options.config || env.SATADMIN_CONFIG;
+    const file = await readConfigFile(configPath || path.join(os.homedir(), '.satadmin.json'), Boolean(configPath));
+
+    return {
+        url: (options.url || env.SATADMIN_URL || file.url || '').replace(/\/+$/, ''),
+        token: options.token || env.SATADMIN_TOKEN || file.token || env.ADMIN_SECRET_KEY || null,
+        local: Boolean(options.local || file.local),
+        dataDir: options['data-dir'] || env.SATADMIN_DATA_DIR || file.dataDir || null
+    };
+}
+
+function parsePositiveInt(value, name) {
+    if (value === undefined) return undefined;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        fail(`${name} must be a positive integer`);
+    }
+    return parsed;
+}
+
+function trialOptions(options) {
+    const trial = {};
+    const trialDays = parsePositiveInt(options['trial-days'], '--trial-days');
+    const trialMaxLaunches = parsePositiveInt(options['trial-max-launches'], '--trial-max-launches');
+    if (trialDays !== undefined) trial.trialDays = trialDays;
+    if (trialMaxLaunches !== undefined) trial.trialMaxLaunches = trialMaxLaunches;
+    return trial;
+}
+
+// --- Backends --------------------------------------------------------
+// Both resolve to the API's { success, message, data } responses.
+
+function remoteBackend(settings) {
+    if (!settings.url) {
+        fail('No server URL: use --url, SATADMIN_URL or a config file (or --local / --data-dir)');
+    }
+    if (!settings.token) {
+        fail('No admin credential: use --token, SATADMIN_TOKEN or a config file');
+    }
+
+    async function call(action, body = {}) {
+        let response;
+        try {
+            response = await fetch(`${settings.url}/api/mac-auth?action=${encodeURIComponent(action)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${settings.token}`
+                },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            return { success: false, message: `Cannot reach ${settings.url}: ${error.message}` };
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            return { success: false, message: `Unexpected response from server (HTTP ${response.status})` };
+        }
+    }
+
+    return {
+        add: (macAddress, fields) => call('add-mac', { macAddress, ...fields }),
+        remove: (macAddress) => call('remove-mac', { macAddress }),
+        update: (macAddress, fields) => call('update-access', { macAddress, ...fields }),
+        list: (filters) => call('list-macs', filters),
+        bulkAdd: (macAddresses) => call('bulk-add', { macAddresses }),
+        logs: ({ macAddress, outcome, limit }) => call('audit-log', { macAddress, outcome, pageSize: limit }),
+        health: () => call('health')
+    };
+}
+
+async function localBackend(settings) {
+    console.log = console.error;
+    const { default: MACDatabase } = await import('../mac-database.js');
+    const db = new MACDatabase(settings.dataDir);
+
+    return {
+        add: (macAddress, fields) => {
+            if (fields.group) {
+                return { success: false, message: 'Groups can only be assigned through the API' };
+            }
+            return db.addMACAddress(macAddress, fields.description || 'No description', fields.accessType || 'trial', fields);
+        },
+        remove: (macAddress) => db.removeMACAddress(macAddress),
+        update: (macAddress, fields) => {
+            if (fields.accessType === 'inherit') {
+                return { success: false, message: 'Group inheritance can only be set through the API' };
+            }
+            return db.updateMACAccess(macAddress, fields.accessType, fields);
+        },
+        list: (filters) => db.listMACAddresses(filters),
+        bulkAdd: (macAddresses) => db.bulkAddMACs(macAddresses),
+        logs: (options) => db.getAccessLog(options),
+        health: () => db.getHealth()
+    };
+}
+
+// --- Output ----------------------------------------------------------
+
+// Results go to stdout; in local mode storage messages go to stderr so output can be piped
+function print(line = '') {
+    process.stdout.write(`${line}\n`);
+}
+
+function printTable(rows, columns) {
+    if (rows.length === 0) {
+        print('(none)');
+        return;
+    }
+
+    const cell = (value) => (value === null || value === undefined ? '' : String(value));
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+    const format = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+    print(format(columns));
+    print(format(widths.map(width => '-'.repeat(width))));
+    for (const row of rows) {
+        print(format(columns.map(column => cell(row[column]))));
+    }
+}
+
+function printRows(rows, columns, format = 'table') {
+    if (format === 'json') {
+        print(JSON.stringify(rows, null, 2));
+    } else if (format === 'csv') {
+        process.stdout.write(toCsv(rows, columns));
+    } else if (format === 'table') {
+        printTable(rows, columns);
+    } else {
+        fail(`Unknown format "${format}". Use table, json or csv`);
+    }
+}
+
+function report(result) {
+    if (!result.success) {
+        fail(result.message);
+    }
+    print(`✅ ${result.message}`);
+    if (result.warning) {
+        print(`⚠️  ${result.warning}`);
+    }
+}
+
+// --- Commands --------------------------------------------------------
+
+function requireMac(args, command) {
+    if (!args[0]) {
+        fail(`Usage: satadmin ${command} <mac>`);
+    }
+    return args[0];
+}
+
+function checkAccessType(accessType, allowInherit = false) {
+    if (accessType !== undefined && !ACCESS_TYPES.includes(accessType) && !(allowInherit && accessType === 'inherit')) {
+        fail(`Access type must be one of: ${ACCESS_TYPES.join(', ')}${allowInherit ? ', inherit' : ''}`);
+    }
+}
+
+async function readImportFile(file, defaultAccessType) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        fail(`Cannot read ${file}: ${error.message}`);
+    }
+
+    if (file.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text)) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            fail(`Cannot parse ${file} as JSON: ${error.message}`);
+        }
+        const items = Array.isArray(parsed) ? parsed : parsed.macAddresses;
+        if (!Array.isArray(items)) {
+            fail('JSON import must be an array of devices or an object with a macAddresses array');
+        }
+        return items.map(item => (typeof item === 'string' ? { macAddress: item } : item))
+            .map(item => ({ ...item, accessType: item.accessType || defaultAccessType }));
+    }
+
+    return parseCsv(text).map(({ record }) => ({
+        macAddress: record.macAddress || record.mac,
+        description: record.description || undefined,
+        accessType: record.accessType || defaultAccessType
+    }));
+}
+
+const COMMANDS = {
+    async add(backend, args, options) {
+        checkAccessType(options['access-type']);
+        report(await backend.add(requireMac(args, 'add'), {
+            description: options.description,
+            accessType: options['access-type'],
+            group: options.group,
+            ...trialOptions(options)
+        }));
+    },
+
+    async remove(backend, args) {
+        report(await backend.remove(requireMac(args, 'remove')));
+    },
+
+    async update(backend, args, options) {
+        const macAddress = requireMac(args, 'update');
+        if (!options['access-type']) {
+            fail('update needs --access-type (use inherit to follow the device group)');
+        }
+        checkAccessType(options['access-type'], true);
+        report(await backend.update(macAddress, {
+            accessType: options['access-type'],
+            description: options.description,
+            ...trialOptions(options)
+        }));
+    },
+
+    async list(backend, args, options) {
+        const result = await backend.list({
+            status: options.status,
+            group: options.group,
+            search: options.search,
+            sort: 'macAddress'
+        });
+        if (!result.success) {
+            fail(result.message);
+        }
+
+        const rows = result.data.macAddresses.map(entry => ({
+            ...entry,
+            accessType: entry.effectiveAccessType || entry.accessType,
+            status: entry.status || 'active',
+            group: entry.groupName || entry.groupId || ''
+        }));
+
+        printRows(rows, LIST_COLUMNS, options.format);
+        if (!options.format || options.format === 'table') {
+            const statistics = result.data.statistics;
+            print(`\n📊 ${rows.length} shown, ${statistics.total} devices, ${statistics.activeLast24h} active in 24h, ${statistics.totalAccesses} launches`);
+        }
+    },
+
+    async import(backend, args, options) {
+        if (!args[0]) {
+            fail('Usage: satadmin import <file.csv|file.json>');
+        }
+        checkAccessType(options['access-type']);
+
+        const devices = await readImportFile(args[0], options['access-type'] || 'trial');
+        if (devices.length === 0) {
+            fail('Nothing to import');
+        }
+
+        const result = await backend.bulkAdd(devices);
+        if (!result.success) {
+            fail(result.message);
+        }
+        for (const item of result.data.results) {
+            const added = item.success ?? item.status === 'added';
+            const note = item.message || item.reason || item.warning || '';
+            print(`${added ? '✅' : '⏭️ '} ${item.macAddress}${note ? ` - ${note}` : ''}`);
+        }
+        print(`\n${result.message}`);
+    },
+
+    async logs(backend, args, options) {
+        const result = await backend.logs({
+            macAddress: options.mac,
+            outcome: options.outcome,
+            limit: parsePositiveInt(options.limit, '--limit') || 50
+        });
+        if (!result.success) {
+            fail(result.message);
+        }
+        printRows(result.data.events, LOG_COLUMNS, options.format);
+    },
+
+    async health(backend, args, options) {
+        const result = await backend.health();
+        if (!result.success) {
+            fail(result.message);
+        }
+        if (options.format === 'json') {
+            print(JSON.stringify(result.data, null, 2));
+            return;
+        }
+
+        const { status, problems, storage } = result.data;
+        const writes = storage.writes;
+        print(`${status === 'ok' ? '🟢' : '🟡'} ${result.message}`);
+        print(`💾 Storage: ${storage.backend}${storage.loadedFrom ? ` (loaded from ${storage.loadedFrom})` : ''}`);
+        print(`📋 Devices: ${result.data.totalMACs}`);
+        if (writes && writes.successRate !== null) {
+            print(`✍️  Writes: ${Math.round(writes.successRate * 1000) / 10}% of ${writes.attempts} succeeded`);
+        }
+        if (result.data.uptimeSeconds !== undefined) {
+            print(`⏱️  Uptime: ${result.data.uptimeSeconds}s, version ${result.data.version}`);
+        }
+        for (const problem of problems) {
+            print(`⚠️  ${problem}`);
+        }
+    }
+};
+
+// --- Main ------------------------------------------------------------
+
+let parsed;
+try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+} catch (error) {
+    fail(error.message);
+}
+
+const [command, ...args] = parsed.positionals;
+
+if (!command || parsed.values.help || !COMMANDS[command]) {
+    usage();
+    process.exit(command && !parsed.values.help ? 1 : 0);
+}
+
+const settings = await loadSettings(parsed.values);
+const backend = settings.local || settings.dataDir ? await localBackend(settings) : remoteBackend(settings);
+
+await COMMANDS[command](backend, args, parsed.values);
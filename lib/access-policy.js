@@ -0,0 +1,174 @@
+// lib/access-policy.js - Access type rules, trial limits and schedules shared by every access check
+import { getTrialConfig } from './config.js';
+import { isWithinSchedule, nextWindowStart } from './schedule.js';
+
+export const ACCESS_TYPES = ['trial', 'unlimited', 'admin'];
+
+// Entries without a status are active; revoked entries are soft-deleted
+export const ENTRY_STATUSES = ['active', 'suspended', 'revoked'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse trial settings from a request body.
+// Returns { settings } with only the fields that were supplied, or { error }.
+// trialDays is a convenience that is converted into trialExpiresAt.
+export function parseTrialSettings(body, now = Date.now()) {
+    const settings = {};
+    const { trialExpiresAt, trialDays, trialMaxLaunches } = body;
+
+    if (trialExpiresAt !== undefined && trialDays !== undefined) {
+        return { error: 'Provide either trialExpiresAt or trialDays, not both' };
+    }
+
+    if (trialExpiresAt !== undefined) {
+        if (trialExpiresAt === null) {
+            settings.trialExpiresAt = null;
+        } else if (isNaN(new Date(trialExpiresAt).getTime())) {
+            return { error: 'trialExpiresAt must be a valid date' };
+        } else {
+            settings.trialExpiresAt = new Date(trialExpiresAt).toISOString();
+        }
+    }
+
+    if (trialDays !== undefined) {
+        if (!Number.isInteger(trialDays) || trialDays <= 0) {
+            return { error: 'trialDays must be a positive integer' };
+        }
+        settings.trialExpiresAt = new Date(now + trialDays * DAY_MS).toISOString();
+    }
+
+    if (trialMaxLaunches !== undefined) {
+        if (trialMaxLaunches !== null && (!Number.isInteger(trialMaxLaunches) || trialMaxLaunches <= 0)) {
+            return { error: 'trialMaxLaunches must be a positive integer or null' };
+        }
+        settings.trialMaxLaunches = trialMaxLaunches;
+    }
+
+    return { settings };
+}
+
+// Effective trial limits and what is left of them, or null for non-trial devices
+export function getTrialStatus(entry, now = Date.now(), config = getTrialConfig()) {
+    if ((entry.accessType || 'trial') !== 'trial') {
+        return null;
+    }
+
+    let expiresAt = entry.trialExpiresAt || null;
+    if (entry.trialExpiresAt === undefined && config.defaultDays && entry.addedAt) {
+        expiresAt = new Date(new Date(entry.addedAt).getTime() + config.defaultDays * DAY_MS).toISOString();
+    }
+
+    const maxLaunches = entry.trialMaxLaunches === undefined
+        ? config.defaultMaxLaunches
+        : entry.trialMaxLaunches;
+    const launches = entry.accessCount || 0;
+
+    return {
+        expiresAt: expiresAt,
+        remainingDays: expiresAt
+            ? Math.max(0, Math.ceil((new Date(expiresAt).getTime() - now) / DAY_MS))
+            : null,
+        maxLaunches: maxLaunches,
+        remainingLaunches: maxLaunches ? Math.max(0, maxLaunches - launches) : null,
+        expired: expiresAt ? new Date(expiresAt).getTime() <= now : false,
+        exhausted: maxLaunches ? launches >= maxLaunches : false
+    };
+}
+
+// Decide whether a trial device may launch again.
+// Returns null when access is allowed, otherwise { reason, message, details }.
+export function checkTrialLimits(entry, now = Date.now()) {
+    const trial = getTrialStatus(entry, now);
+
+    if (trial && trial.expired) {
+        return { reason: 'trial_expired', message: 'Trial period has expired', details: { trial } };
+    }
+
+    if (trial && trial.exhausted) {
+        return { reason: 'trial_launches_exhausted', message: 'Trial launch limit reached', details: { trial } };
+    }
+
+    return null;
+}
+
+// Trial details for a success payload (remaining days/launches after this access)
+export function describeTrial(entry, now = Date.now()) {
+    const trial = getTrialStatus(entry, now);
+    if (!trial) return null;
+
+    return {
+        expiresAt: trial.expiresAt,
+        remainingDays: trial.remainingDays,
+        maxLaunches: trial.maxLaunches,
+        remainingLaunches: trial.remainingLaunches
+    };
+}
+
+// Status in force now: a suspension past its resumeAt date has lapsed
+export function getEntryStatus(entry, now = Date.now()) {
+    const status = entry.status || 'active';
+    if (status === 'suspended' && entry.resumeAt && new Date(entry.resumeAt).getTime() <= now) {
+        return 'active';
+    }
+    return status;
+}
+
+// Refuse suspended and revoked devices. Returns null or { reason, message, details }.
+export function checkEntryStatus(entry, now = Date.now()) {
+    const status = getEntryStatus(entry, now);
+
+    if (status === 'suspended') {
+        return {
+            reason: 'suspended',
+            message: entry.resumeAt
+                ? `Device access is suspended until ${entry.resumeAt}`
+                : 'Device access is suspended',
+            details: {
+                status: status,
+                suspendedReason: entry.suspendedReason || null,
+                resumeAt: entry.resumeAt || null
+            }
+        };
+    }
+
+    if (status === 'revoked') {
+        return {
+            reason: 'revoked',
+            message: 'Device access has been revoked',
+            details: { status: status }
+        };
+    }
+
+    return null;
+}
+
+// Every rule a whitelisted device must pass before it may launch.
+// Returns null when access is allowed, otherwise { reason, message, details } describing the denial;
+// details are passed through to the client.
+export function checkAccessPolicy(entry, now = Date.now()) {
+    const statusDenial = checkEntryStatus(entry, now);
+    if (statusDenial) {
+        return statusDenial;
+    }
+
+    const trialDenial = checkTrialLimits(entry, now);
+    if (trialDenial) {
+        return trialDenial;
+    }
+
+    if (entry.schedule && !isWithinSchedule(entry.schedule, now)) {
+        const opensAt = nextWindowStart(entry.schedule, now);
+        return {
+            reason: 'outside_schedule',
+            message: opensAt
+                ? `Access is not allowed at this time. Next access window opens at ${opensAt}`
+                : 'Access is not allowed at this time',
+            details: {
+                schedule: entry.schedule,
+                nextWindowStart: opensAt
+            }
+        };
+    }
+
+    return null;
+}
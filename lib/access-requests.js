@@ -0,0 +1,237 @@
+// lib/access-requests.js - Queue of access requests from devices that are not whitelisted
+//
+// When check-access finds none of the reported MACs, the device lands in accessRequests:
+//   { id, macAddresses, name, reason, deviceInfo, status, requestedAt, lastRequestedAt,
+//     requestCount, ip, decidedAt, decidedBy, decisionNote }
+// A device asking again with the same MACs only bumps its open request, at most once a minute so
+// repeated launches do not each cost a storage write. The request keeps what it was first asked
+// with, as anyone can call check-access. Another set of MACs is a request of its own, so nobody
+// can slip a MAC into someone else's request. Rejected requests stay rejected however often the
+// device asks, and MACs in one are not queued again, until an admin approves them after all.
+import crypto from 'crypto';
+import { requireAdmin } from './admin-auth.js';
+import { ACCESS_TYPES, parseTrialSettings } from './access-policy.js';
+import { getAccessRequestConfig } from './config.js';
+import { getClientIp, describeDevice } from './request-info.js';
+import { addDeviceEntry } from './device-links.js';
+import { findGroup, dropUnsetPolicy } from './device-groups.js';
+
+export const REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Limits on what an unauthenticated device can put in the queue
+const MAX_REQUEST_MACS = 16;
+const MAX_NAME_LENGTH = 100;
+const MAX_REASON_LENGTH = 500;
+
+// An open request is only bumped again once its lastRequestedAt is this stale
+const REQUEST_RESOLUTION_MS = 60 * 1000;
+
+function sameMacs(a, b) {
+    return a.length === b.length && a.every(mac => b.includes(mac));
+}
+
+function trimText(value, maxLength) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+// What check-access tells the device about its request
+function requestSummary(request) {
+    return {
+        id: request.id,
+        status: request.status,
+        requestedAt: request.requestedAt
+    };
+}
+
+// Record an access request for the canonical MACs of a denied check-access.
+// Returns the request summary, or null when the queue is disabled or full.
+export async function queueAccessRequest(store, macs, req, config = getAccessRequestConfig()) {
+    if (!config.enabled) return null;
+
+    const body = req.body || {};
+    const reported = [...new Set(macs)].slice(0, MAX_REQUEST_MACS);
+    const now = new Date().toISOString();
+
+    const request = await store.transaction(async (tx) => {
+        const requests = await tx.list('accessRequests');
+
+        const open = requests.filter(request => request.status !== 'approved');
+        const existing = open.find(request => sameMacs(request.macAddresses, reported)) ||
+            open.find(request => request.status === 'rejected' && request.macAddresses.some(mac => reported.includes(mac)));
+
+        if (existing) {
+            // Nothing is written for a device that asked again within the last minute
+            if (Date.parse(now) - new Date(existing.lastRequestedAt).getTime() < REQUEST_RESOLUTION_MS) {
+                return existing;
+            }
+            existing.lastRequestedAt = now;
+            existing.requestCount = (existing.requestCount || 0) + 1;
+            existing.ip = getClientIp(req);
+            return tx.put('accessRequests', existing.id, existing);
+        }
+
+        if (requests.filter(request => request.status === 'pending').length >= config.maxPending) {
+            return null;
+        }
+
+        const id = crypto.randomUUID();
+        return tx.put('accessRequests', id, {
+            id: id,
+            macAddresses: reported,
+            name: trimText(body.name, MAX_NAME_LENGTH),
+            reason: trimText(body.reason, MAX_REASON_LENGTH),
+            deviceInfo: describeDevice(body.deviceInfo),
+            status: 'pending',
+            requestedAt: now,
+            lastRequestedAt: now,
+            requestCount: 1,
+            ip: getClientIp(req)
+        });
+    });
+
+    if (!request) {
+        console.warn('⚠️ Access request queue is full; request not recorded');
+        return null;
+    }
+    return requestSummary(request);
+}
+
+// Access requests, pending ones by default, most recently asked first
+export async function handleListAccessRequests(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'read');
+    if (!admin) return;
+
+    const status = req.query.status ?? req.body?.status ?? 'pending';
+    if (status !== 'all' && !REQUEST_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid status. Must be: ${REQUEST_STATUSES.join(', ')}, or all`
+        });
+    }
+
+    const requests = (await store.list('accessRequests'))
+        .filter(request => status === 'all' || request.status === status)
+        .sort((a, b) => b.lastRequestedAt.localeCompare(a.lastRequestedAt));
+
+    return res.status(200).json({
+        success: true,
+        message: 'Access requests retrieved successfully',
+        data: { requests }
+    });
+}
+
+// Whitelist the device behind a request, with all of its MACs:
+// { requestId, accessType, description?, group?, trialExpiresAt?, trialDays?, trialMaxLaunches?, note? }
+export async function handleApproveAccessRequest(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const { requestId, accessType, description } = req.body;
+
+    if (!requestId || !ACCESS_TYPES.includes(accessType)) {
+        return res.status(400).json({
+            success: false,
+            message: `requestId is required and accessType must be one of: ${ACCESS_TYPES.join(', ')}`
+        });
+    }
+
+    const trialSettings = parseTrialSettings(req.body);
+    if (trialSettings.error) {
+        return res.status(400).json({
+            success: false,
+            message: trialSettings.error
+        });
+    }
+
+    const group = req.body.group === undefined ? null : await findGroup(store, req.body.group);
+    if (req.body.group !== undefined && !group) {
+        return res.status(404).json({
+            success: false,
+            message: 'Device group not found'
+        });
+    }
+
+    const result = await store.transaction(async (tx) => {
+        const request = await tx.get('accessRequests', requestId);
+        if (!request || request.status === 'approved') {
+            return { status: 404, message: 'Open access request not found' };
+        }
+
+        const now = new Date().toISOString();
+        const fields = {
+            description: description || request.name || 'No description',
+            accessType: accessType,
+            addedAt: now,
+            lastSeen: null,
+            accessCount: 0,
+            lastDevice: request.deviceInfo,
+            ...trialSettings.settings,
+            schedule: null,
+            addedBy: admin.name,
+            accessRequestId: request.id
+        };
+        if (group) {
+            fields.groupId = group.id;
+            dropUnsetPolicy(fields, req.body);
+        }
+
+        const added = await addDeviceEntry(tx, request.macAddresses, fields, { action: 'approve-access-request', actor: admin.name });
+        if (!added.entry) {
+            return { status: added.status, message: `${added.message}; reject this request instead` };
+        }
+
+        request.status = 'approved';
+        request.decidedAt = now;
+        request.decidedBy = admin.name;
+        request.decisionNote = trimText(req.body.note, MAX_REASON_LENGTH);
+        request.macAddress = added.entry.macAddress;
+        await tx.put('accessRequests', request.id, request);
+
+        return added;
+    });
+
+    if (!result.entry) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    return res.status(201).json({
+        success: true,
+        message: 'Access request approved and device whitelisted',
+        data: result.entry
+    });
+}
+
+// Reject a pending request: { requestId, note? }. The device is not queued again.
+export async function handleRejectAccessRequest(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const request = await store.transaction(async (tx) => {
+        const existing = await tx.get('accessRequests', req.body.requestId);
+        if (!existing || existing.status !== 'pending') {
+            return null;
+        }
+
+        existing.status = 'rejected';
+        existing.decidedAt = new Date().toISOString();
+        existing.decidedBy = admin.name;
+        existing.decisionNote = trimText(req.body.note, MAX_REASON_LENGTH);
+        return tx.put('accessRequests', existing.id, existing);
+    });
+
+    if (!request) {
+        return res.status(404).json({
+            success: false,
+            message: 'Pending access request not found'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'Access request rejected',
+        data: request
+    });
+}
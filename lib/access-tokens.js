@@ -0,0 +1,179 @@
+// lib/access-tokens.js - Ed25519-signed access tokens issued by check-access
+//
+// Tokens use the compact JWS layout: base64url(header).base64url(payload).base64url(signature)
+// with header { alg: 'EdDSA', typ: 'JWT', kid } and payload
+//   { sub, accessType, iat, exp, offlineUntil, nonce }   (times in seconds since epoch)
+// Clients verify with the key from the public-key action. A token is valid until exp;
+// a client that cannot reach the server may keep honouring it until offlineUntil.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getAccessTokenConfig } from './config.js';
+
+const KEY_NAME = 'access-token';
+
+let cachedKey = null;
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function keyIdFor(publicKey) {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+function fromPrivatePem(privateKeyPem) {
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const publicKey = crypto.createPublicKey(privateKey);
+    return { keyId: keyIdFor(publicKey), privateKey, publicKey };
+}
+
+// Generated key kept in its own owner-only file: the whitelist data is copied to backups and
+// committed, so a private key must never end up there
+async function readKeyFile(store, keyFile) {
+    try {
+        return await fs.readFile(keyFile, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Older versions kept the key in storage; move it out so the tokens they issued stay valid
+    const legacy = await store.get('signingKeys', KEY_NAME);
+    let privateKeyPem = legacy ? legacy.privateKey : null;
+    if (!privateKeyPem) {
+        console.log('🔑 Generating access token signing key');
+        privateKeyPem = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+    }
+
+    try {
+        await fs.mkdir(path.dirname(keyFile), { recursive: true });
+        await fs.writeFile(keyFile, privateKeyPem, { mode: 0o600, flag: 'wx' });
+        console.log(`🔑 Access token signing key saved to ${keyFile}`);
+    } catch (error) {
+        // Another process saved one first
+        if (error.code === 'EEXIST') return fs.readFile(keyFile, 'utf8');
+        console.warn(`⚠️ Cannot save the access token signing key to ${keyFile} (${error.message}) - ` +
+            'it only lasts as long as this process; set ACCESS_TOKEN_PRIVATE_KEY');
+    }
+
+    if (legacy) {
+        await store.transaction(tx => tx.delete('signingKeys', KEY_NAME));
+    }
+    return privateKeyPem;
+}
+
+// Signing key from ACCESS_TOKEN_PRIVATE_KEY, or one generated once and kept in ACCESS_TOKEN_KEY_FILE
+export async function getSigningKey(store, config = getAccessTokenConfig()) {
+    if (cachedKey) return cachedKey;
+
+    cachedKey = fromPrivatePem(config.privateKeyPem || await readKeyFile(store, config.keyFile));
+    return cachedKey;
+}
+
+// Issue a token for a device that just passed check-access
+export async function issueAccessToken(store, entry, config = getAccessTokenConfig()) {
+    const key = await getSigningKey(store, config);
+    const now = Math.floor(Date.now() / 1000);
+
+    const header = { alg: 'EdDSA', typ: 'JWT', kid: key.keyId };
+    const payload = {
+        sub: entry.macAddress,
+        accessType: entry.accessType || 'trial',
+        iat: now,
+        exp: now + Math.round(config.ttlMinutes * 60),
+        offlineUntil: now + Math.round(config.offlineGraceHours * 3600),
+        nonce: crypto.randomBytes(12).toString('base64url')
+    };
+
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey);
+
+    return {
+        token: `${signingInput}.${signature.toString('base64url')}`,
+        expiresAt: new Date(payload.exp * 1000).toISOString(),
+        offlineUntil: new Date(payload.offlineUntil * 1000).toISOString()
+    };
+}
+
+// Returns { valid: true, payload, offline } or { valid: false, reason }.
+// With allowOffline, tokens past exp but within offlineUntil still verify (offline: true).
+export async function verifyAccessToken(store, token, { allowOffline = false } = {}) {
+    const key = await getSigningKey(store);
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 3) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    if (header.alg !== 'EdDSA' || header.kid !== key.keyId) {
+        return { valid: false, reason: 'unknown_key' };
+    }
+
+    const signatureValid = crypto.verify(
+        null,
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        key.publicKey,
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!signatureValid) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (now < payload.exp) {
+        return { valid: true, payload, offline: false };
+    }
+    if (allowOffline && now < payload.offlineUntil) {
+        return { valid: true, payload, offline: true };
+    }
+    return { valid: false, reason: 'expired' };
+}
+
+// Public key for offline verification
+export async function handleGetPublicKey(req, res, store) {
+    const key = await getSigningKey(store);
+    const config = getAccessTokenConfig();
+
+    return res.status(200).json({
+        success: true,
+        message: 'Access token public key',
+        data: {
+            algorithm: 'Ed25519',
+            keyId: key.keyId,
+            publicKey: key.publicKey.export({ type: 'spki', format: 'pem' }),
+            jwk: { ...key.publicKey.export({ format: 'jwk' }), kid: key.keyId, alg: 'EdDSA', use: 'sig' },
+            ttlMinutes: config.ttlMinutes,
+            offlineGraceHours: config.offlineGraceHours
+        }
+    });
+}
+
+// Server-side verification for clients that cannot check signatures themselves
+export async function handleVerifyToken(req, res, store) {
+    const { token, allowOffline } = req.body || {};
+
+    if (!token) {
+        return res.status(400).json({
+            success: false,
+            message: 'Token is required'
+        });
+    }
+
+    const result = await verifyAccessToken(store, token, { allowOffline: allowOffline === true });
+
+    return res.status(result.valid ? 200 : 401).json({
+        success: result.valid,
+        message: result.valid ? 'Token is valid' : `Token is invalid: ${result.reason}`,
+        data: result
+    });
+}
@@ -0,0 +1,225 @@
+// lib/admin-accounts.js - Admin account and API token actions shared by both API handlers
+import { requireAdmin, generateToken, SCOPES, ROOT_ADMIN } from './admin-auth.js';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token details safe to return (never the hash)
+function describeToken(record) {
+    return {
+        id: record.id,
+        adminName: record.adminName,
+        scopes: record.scopes,
+        description: record.description,
+        createdAt: record.createdAt,
+        createdBy: record.createdBy,
+        expiresAt: record.expiresAt,
+        lastUsedAt: record.lastUsedAt,
+        revokedAt: record.revokedAt
+    };
+}
+
+function requireFullAdmin(store, req, res) {
+    return requireAdmin(store, req, res, 'admin');
+}
+
+// Create a named admin account
+export async function handleCreateAdmin(req, res, store) {
+    const admin = await requireFullAdmin(store, req, res);
+    if (!admin) return;
+
+    const { name } = req.body;
+
+    if (!name || !NAME_PATTERN.test(name) || name === ROOT_ADMIN) {
+        return res.status(400).json({
+            success: false,
+            message: 'Admin name must be 2-32 letters, digits, dots, dashes or underscores (and not "root")'
+        });
+    }
+
+    const account = await store.transaction(async (tx) => {
+        if (await tx.get('adminAccounts', name)) {
+            return null;
+        }
+
+        return tx.put('adminAccounts', name, {
+            name: name,
+            createdAt: new Date().toISOString(),
+            createdBy: admin.name,
+            disabledAt: null
+        });
+    });
+
+    if (!account) {
+        return res.status(409).json({
+            success: false,
+            message: 'Admin account already exists'
+        });
+    }
+
+    return res.status(201).json({
+        success: true,
+        message: 'Admin account created successfully',
+        data: account
+    });
+}
+
+// List admin accounts with their tokens
+export async function handleListAdmins(req, res, store) {
+    const admin = await requireFullAdmin(store, req, res);
+    if (!admin) return;
+
+    const accounts = await store.list('adminAccounts');
+    const tokens = await store.list('apiTokens');
+
+    return res.status(200).json({
+        success: true,
+        message: 'Admin accounts retrieved successfully',
+        data: {
+            admins: accounts
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(account => ({
+                    ...account,
+                    tokens: tokens
+                        .filter(token => token.adminName === account.name)
+                        .map(describeToken)
+                }))
+        }
+    });
+}
+
+// Disable an admin account and revoke every token it holds
+export async function handleDisableAdmin(req, res, store) {
+    const admin = await requireFullAdmin(store, req, res);
+    if (!admin) return;
+
+    const { name } = req.body;
+
+    const account = await store.transaction(async (tx) => {
+        const existing = await tx.get('adminAccounts', name);
+        if (!existing) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        existing.disabledAt = existing.disabledAt || now;
+        existing.disabledBy = admin.name;
+        await tx.put('adminAccounts', name, existing);
+
+        for (const token of await tx.list('apiTokens')) {
+            if (token.adminName === name && !token.revokedAt) {
+                token.revokedAt = now;
+                token.revokedBy = admin.name;
+                await tx.put('apiTokens', token.id, token);
+            }
+        }
+
+        return existing;
+    });
+
+    if (!account) {
+        return res.status(404).json({
+            success: false,
+            message: 'Admin account not found'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'Admin account disabled and its tokens revoked',
+        data: account
+    });
+}
+
+// Issue an API token for an admin account. The token is only returned here.
+export async function handleCreateToken(req, res, store) {
+    const admin = await requireFullAdmin(store, req, res);
+    if (!admin) return;
+
+    const { name, scopes, description, expiresInDays } = req.body;
+    const requestedScopes = Array.isArray(scopes) ? scopes : [scopes || 'read'];
+
+    if (requestedScopes.length === 0 || requestedScopes.some(scope => !SCOPES.includes(scope))) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid scopes. Must be any of: ${SCOPES.join(', ')}`
+        });
+    }
+
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays <= 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'expiresInDays must be a positive integer'
+        });
+    }
+
+    const { id, token, tokenHash } = generateToken();
+
+    const record = await store.transaction(async (tx) => {
+        const account = await tx.get('adminAccounts', name);
+        if (!account || account.disabledAt) {
+            return null;
+        }
+
+        return tx.put('apiTokens', id, {
+            id: id,
+            adminName: name,
+            scopes: Array.from(new Set(requestedScopes)),
+            tokenHash: tokenHash,
+            description: description || null,
+            createdAt: new Date().toISOString(),
+            createdBy: admin.name,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS).toISOString() : null,
+            lastUsedAt: null,
+            revokedAt: null
+        });
+    });
+
+    if (!record) {
+        return res.status(404).json({
+            success: false,
+            message: 'Active admin account not found'
+        });
+    }
+
+    return res.status(201).json({
+        success: true,
+        message: 'API token created. Store it now - it cannot be shown again.',
+        data: {
+            ...describeToken(record),
+            token: token
+        }
+    });
+}
+
+// Revoke a single API token
+export async function handleRevokeToken(req, res, store) {
+    const admin = await requireFullAdmin(store, req, res);
+    if (!admin) return;
+
+    const { tokenId } = req.body;
+
+    const record = await store.transaction(async (tx) => {
+        const existing = await tx.get('apiTokens', tokenId);
+        if (!existing) {
+            return null;
+        }
+
+        existing.revokedAt = existing.revokedAt || new Date().toISOString();
+        existing.revokedBy = admin.name;
+        return tx.put('apiTokens', tokenId, existing);
+    });
+
+    if (!record) {
+        return res.status(404).json({
+            success: false,
+            message: 'API token not found'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'API token revoked successfully',
+        data: describeToken(record)
+    });
+}
@@ -0,0 +1,149 @@
+// lib/admin-auth.js - Admin authentication with named accounts and scoped API tokens
+import crypto from 'crypto';
+import { getSecurityConfig, checkAdminKeyStrength } from './config.js';
+import { getRateLimiter } from './rate-limiter.js';
+
+// Scopes grant everything below them: read < write < admin
+export const SCOPES = ['read', 'write', 'admin'];
+
+// Identity used for the shared ADMIN_SECRET_KEY (kept for bootstrapping accounts)
+export const ROOT_ADMIN = 'root';
+
+const TOKEN_PREFIX = 'sat_';
+
+// lastUsedAt is only rewritten once it is this stale, so reads do not each cost a storage write
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+export function hashSecret(secret) {
+    return sha256(secret).toString('hex');
+}
+
+// Compare two secrets in constant time (hashing first equalizes their lengths)
+export function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+export function hasScope(scopes, required) {
+    const granted = Math.max(...(scopes || []).map(scope => SCOPES.indexOf(scope)));
+    return granted >= SCOPES.indexOf(required);
+}
+
+// Create a new token; only the hash is ever stored, the plain token is shown once
+export function generateToken() {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return { id, token: `${TOKEN_PREFIX}${id}_${secret}`, tokenHash: hashSecret(secret) };
+}
+
+function parseToken(token) {
+    if (!token.startsWith(TOKEN_PREFIX)) return null;
+
+    const rest = token.slice(TOKEN_PREFIX.length);
+    const separator = rest.indexOf('_');
+    if (separator <= 0) return null;
+
+    return { id: rest.slice(0, separator), secret: rest.slice(separator + 1) };
+}
+
+// Credentials come from "Authorization: Bearer <token>" or, for older clients, body.adminKey
+export function getCredential(req) {
+    const header = req.headers?.authorization || req.headers?.Authorization;
+    if (header && /^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.body?.adminKey || null;
+}
+
+async function authenticateToken(store, parsed) {
+    const record = await store.get('apiTokens', parsed.id);
+    const hashMatches = safeEqual(hashSecret(parsed.secret), record ? record.tokenHash : hashSecret(''));
+
+    if (!record || !hashMatches || record.revokedAt) {
+        return null;
+    }
+
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+        return null;
+    }
+
+    const account = await store.get('adminAccounts', record.adminName);
+    if (!account || account.disabledAt) {
+        return null;
+    }
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_RESOLUTION_MS) {
+        await store.transaction(async (tx) => {
+            const current = await tx.get('apiTokens', record.id);
+            if (current) {
+                current.lastUsedAt = new Date(now).toISOString();
+                await tx.put('apiTokens', current.id, current);
+            }
+        });
+    }
+
+    return { name: account.name, scopes: record.scopes, tokenId: record.id };
+}
+
+// Resolve the calling admin and check it holds the required scope.
+// Returns { success: true, admin } or { success: false, status, message }.
+export async function authenticateAdmin(store, req, requiredScope) {
+    const security = getSecurityConfig();
+
+    // A default or weak shared key means anyone may have minted tokens with it
+    if (security.production && checkAdminKeyStrength(security.adminKey)) {
+        return {
+            success: false,
+            status: 503,
+            message: 'Admin actions are disabled: ADMIN_SECRET_KEY is missing or too weak for production'
+        };
+    }
+
+    const credential = getCredential(req);
+    let admin = null;
+
+    if (credential) {
+        const parsed = parseToken(credential);
+        if (parsed) {
+            admin = await authenticateToken(store, parsed);
+        } else {
+            if (safeEqual(credential, security.adminKey)) {
+                admin = { name: ROOT_ADMIN, scopes: ['admin'], tokenId: null };
+            }
+        }
+    }
+
+    // Repeated bad credentials lock the caller's IP out of admin actions
+    if (!admin) {
+        await getRateLimiter().recordAuthFailure(req);
+        return { success: false, status: 403, message: 'Invalid admin key' };
+    }
+    await getRateLimiter().recordAuthSuccess(req);
+
+    // Lets the audit log attribute whatever this request goes on to do
+    req.admin = admin;
+
+    if (!hasScope(admin.scopes, requiredScope)) {
+        return { success: false, status: 403, message: `Admin token lacks the required scope: ${requiredScope}` };
+    }
+
+    return { success: true, admin };
+}
+
+// authenticateAdmin for action handlers: sends the error response and returns null on failure
+export async function requireAdmin(store, req, res, requiredScope) {
+    const auth = await authenticateAdmin(store, req, requiredScope);
+    if (!auth.success) {
+        res.status(auth.status).json({
+            success: false,
+            message: auth.message
+        });
+        return null;
+    }
+    return auth.admin;
+}
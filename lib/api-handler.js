@@ -0,0 +1,767 @@
+// lib/api-handler.js - Request handling shared by the MAC authentication API entry points
+import { computeStatistics } from './statistics.js';
+import { ACCESS_TYPES, parseTrialSettings, checkAccessPolicy, checkEntryStatus, describeTrial, getEntryStatus } from './access-policy.js';
+import { parseSchedule } from './schedule.js';
+import { parseMacAddress, canonicalizeMacList } from './mac-address.js';
+import { authenticateAdmin } from './admin-auth.js';
+import { getConfigValidation } from './config-validation.js';
+import { applyCorsHeaders } from './cors.js';
+import { getRateLimiter } from './rate-limiter.js';
+import { handleHealthCheck } from './health.js';
+import { beginAudit, handleQueryAuditLog } from './audit-log.js';
+import { saveEntry, handleHistory, handleRevert } from './change-history.js';
+import { handleSuspendMAC, handleRevokeMAC, handleReactivateMAC } from './entry-status.js';
+import {
+    queueAccessRequest,
+    handleListAccessRequests,
+    handleApproveAccessRequest,
+    handleRejectAccessRequest
+} from './access-requests.js';
+import {
+    handleCreateEnrollmentCode,
+    handleListEnrollmentCodes,
+    handleRevokeEnrollmentCode,
+    handleRedeemCode
+} from './enrollment-codes.js';
+import { handleExport, handleImport } from './import-export.js';
+import { handleBulk } from './bulk-operations.js';
+import { parseListQuery, listEntries } from './device-listing.js';
+import { issueAccessToken, handleGetPublicKey, handleVerifyToken } from './access-tokens.js';
+import { verifyDeviceAttestation, approvePendingKey, handleIssueChallenge } from './attestation.js';
+import {
+    handleCreateAdmin,
+    handleListAdmins,
+    handleDisableAdmin,
+    handleCreateToken,
+    handleRevokeToken
+} from './admin-accounts.js';
+import {
+    resolveEffectiveEntry,
+    findGroup,
+    dropUnsetPolicy,
+    groupListing,
+    handleCreateGroup,
+    handleListGroups,
+    handleUpdateGroup,
+    handleDeleteGroup,
+    handleMoveDevices
+} from './device-groups.js';
+import {
+    findDeviceEntry,
+    deviceMacs,
+    proposeLinks,
+    removeDeviceOrLink,
+    handleListLinkProposals,
+    handleLinkMac,
+    handleUnlinkMac,
+    handleRejectLink
+} from './device-links.js';
+
+// Whether this transaction's own commit reached persistent storage; the store's
+// lastSave may already belong to another request's commit
+async function persistedTransaction(store, fn) {
+    let transaction = null;
+    const result = await store.transaction((tx) => {
+        transaction = tx;
+        return fn(tx);
+    });
+    return { result, persistent: Boolean(transaction.save && transaction.save.persistent) };
+}
+
+// Response fields that say whether an admin write reached persistent storage
+function persistenceFields(options, persistent) {
+    return options.reportPersistence ? { persistent: persistent } : {};
+}
+
+// API handler for one store, shared by api/mac-auth.js and api/mac-auth-enhanced.js.
+// reportPersistence adds whether each admin write reached persistent storage to its response.
+export function createApiHandler(store, { reportPersistence = false } = {}) {
+    let initialized = false;
+    const options = { reportPersistence };
+    
+    // Reload on every request so writes from other handlers are visible
+    async function initializeStorage() {
+        try {
+            await store.load();
+            if (!initialized) {
+                console.log(`✅ Storage initialized (${store.name} backend)`);
+            }
+        } catch (error) {
+            console.error('❌ Storage initialization failed:', error);
+        }
+        initialized = true;
+    }
+    
+    return async function handler(req, res) {
+        // Initialize storage system and check configuration (logged once per process)
+        await initializeStorage();
+        await getConfigValidation();
+        
+        // Handle CORS
+        applyCorsHeaders(req, res);
+        
+        if (req.method === 'OPTIONS') {
+            return res.status(200).end();
+        }
+        
+        const { action } = req.query;
+        
+        // Only the health report can run without the data, e.g. a file from a newer version
+        if (store.loadError && action !== 'health') {
+            return res.status(500).json({
+                success: false,
+                message: `Storage failed to load: ${store.loadError}`
+            });
+        }
+        
+        // Access checks and admin changes are recorded with their outcome once handled
+        const audit = beginAudit(store, req, res, action);
+        
+        try {
+            // Throttle per IP and per device before doing any work
+            const limited = await getRateLimiter().check(req, action);
+            if (limited) {
+                res.setHeader('Retry-After', String(limited.retryAfterSeconds));
+                return res.status(429).json({
+                    success: false,
+                    message: limited.message,
+                    data: { retryAfterSeconds: limited.retryAfterSeconds }
+                });
+            }
+            
+            switch (action) {
+                case 'challenge':
+                    return await handleIssueChallenge(req, res, store);
+                case 'check-access':
+                    return await handleCheckAccess(req, res, store, audit);
+                case 'redeem-code':
+                    return await handleRedeemCode(req, res, store);
+                case 'add-mac':
+                    return await handleAddMAC(req, res, store, options);
+                case 'update-access':
+                    return await handleUpdateAccess(req, res, store, options);
+                case 'remove-mac':
+                    return await handleRemoveMAC(req, res, store, options);
+                case 'list-macs':
+                    return await handleListMACs(req, res, store);
+                case 'bulk-add':
+                    return await handleBulkAdd(req, res, store, options);
+                case 'bulk':
+                    return await handleBulk(req, res, store);
+                case 'export':
+                    return await handleExport(req, res, store);
+                case 'import':
+                    return await handleImport(req, res, store);
+                case 'create-admin':
+                    return await handleCreateAdmin(req, res, store);
+                case 'list-admins':
+                    return await handleListAdmins(req, res, store);
+                case 'disable-admin':
+                    return await handleDisableAdmin(req, res, store);
+                case 'create-token':
+                    return await handleCreateToken(req, res, store);
+                case 'revoke-token':
+                    return await handleRevokeToken(req, res, store);
+                case 'create-group':
+                    return await handleCreateGroup(req, res, store);
+                case 'list-groups':
+                    return await handleListGroups(req, res, store);
+                case 'update-group':
+                    return await handleUpdateGroup(req, res, store);
+                case 'delete-group':
+                    return await handleDeleteGroup(req, res, store);
+                case 'move-devices':
+                    return await handleMoveDevices(req, res, store);
+                case 'list-link-proposals':
+                    return await handleListLinkProposals(req, res, store);
+                case 'link-mac':
+                    return await handleLinkMac(req, res, store);
+                case 'unlink-mac':
+                    return await handleUnlinkMac(req, res, store);
+                case 'reject-link':
+                    return await handleRejectLink(req, res, store);
+                case 'audit-log':
+                    return await handleQueryAuditLog(req, res, store);
+                case 'suspend-mac':
+                    return await handleSuspendMAC(req, res, store);
+                case 'revoke-mac':
+                    return await handleRevokeMAC(req, res, store);
+                case 'reactivate-mac':
+                    return await handleReactivateMAC(req, res, store);
+                case 'list-access-requests':
+                    return await handleListAccessRequests(req, res, store);
+                case 'approve-access-request':
+                    return await handleApproveAccessRequest(req, res, store);
+                case 'reject-access-request':
+                    return await handleRejectAccessRequest(req, res, store);
+                case 'create-enrollment-code':
+                    return await handleCreateEnrollmentCode(req, res, store);
+                case 'list-enrollment-codes':
+                    return await handleListEnrollmentCodes(req, res, store);
+                case 'revoke-enrollment-code':
+                    return await handleRevokeEnrollmentCode(req, res, store);
+                case 'history':
+                    return await handleHistory(req, res, store);
+                case 'revert':
+                    return await handleRevert(req, res, store);
+                case 'public-key':
+                    return await handleGetPublicKey(req, res, store);
+                case 'verify-token':
+                    return await handleVerifyToken(req, res, store);
+                case 'health':
+                    return await handleHealthCheck(req, res, store, { initialized });
+                default:
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Invalid action'
+                    });
+            }
+        } catch (error) {
+            console.error('API Error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                error: error.message
+            });
+        } finally {
+            await audit.finish();
+        }
+    };
+}
+
+// Response for a whitelisted device that is refused
+function accessDeniedResponse(entry, denial) {
+    return {
+        status: denial.status || 403,
+        body: {
+            success: false,
+            message: denial.message,
+            reason: denial.reason,
+            data: {
+                macAddress: entry.macAddress,
+                accessType: entry.accessType || 'trial',
+                ...denial.details
+            }
+        }
+    };
+}
+
+// Response for an authorized device, before its access token is added
+function accessGrantedResponse(entry) {
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: 'Device authorized',
+            data: {
+                macAddress: entry.macAddress,
+                macAddresses: deviceMacs(entry),
+                matchedMacAddress: entry.lastMatchedMac,
+                description: entry.description,
+                accessType: entry.accessType || 'trial',
+                addedAt: entry.addedAt,
+                lastSeen: entry.lastSeen,
+                accessCount: entry.accessCount,
+                trial: describeTrial(entry),
+                enrolled: Boolean(entry.publicKey)
+            }
+        }
+    };
+}
+
+// Check if MAC address has access
+async function handleCheckAccess(req, res, store, audit) {
+    const { macAddresses } = req.body;
+    
+    if (!macAddresses || !Array.isArray(macAddresses) || macAddresses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC addresses are required'
+        });
+    }
+    
+    // Devices often report virtual interfaces too; anything that is not a usable MAC is ignored
+    const { macs } = canonicalizeMacList(macAddresses);
+    if (macs.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No valid MAC addresses provided'
+        });
+    }
+    
+    // Check if any of the provided MAC addresses are whitelisted and record the access
+    const { entry: authorizedEntry, denial } = await store.transaction(async (tx) => {
+        const decision = await decideAccess(tx, macs, req.body);
+        // The audit event is saved with the access it records
+        if (decision.entry) {
+            const response = decision.denial
+                ? accessDeniedResponse(decision.entry, decision.denial)
+                : accessGrantedResponse(decision.entry);
+            await audit.record(tx, response.status, response.body);
+        }
+        return decision;
+    });
+    
+    if (!authorizedEntry) {
+        // Unknown devices wait in the access request queue instead of contacting an admin
+        const accessRequest = await queueAccessRequest(store, macs, req);
+        let message = 'Device not authorized. MAC address not in whitelist.';
+        if (accessRequest) {
+            message += accessRequest.status === 'rejected'
+                ? ' Your access request was rejected.'
+                : ' An access request is waiting for administrator approval.';
+        }
+        
+        return res.status(403).json({
+            success: false,
+            message: message,
+            reason: 'not_whitelisted',
+            data: accessRequest ? { accessRequest } : null
+        });
+    }
+    
+    if (denial) {
+        const response = accessDeniedResponse(authorizedEntry, denial);
+        return res.status(response.status).json(response.body);
+    }
+    
+    const response = accessGrantedResponse(authorizedEntry);
+    // Signed proof of this decision - verify with the public-key action
+    response.body.data.accessToken = await issueAccessToken(store, authorizedEntry);
+    return res.status(response.status).json(response.body);
+}
+
+// Find the whitelist entry behind the reported MACs and record the access inside tx.
+// Returns { entry, denial } - entry is null when no MAC is whitelisted.
+async function decideAccess(tx, macs, body) {
+    const { deviceInfo } = body;
+    
+    for (const macAddress of macs) {
+        // Any of a device's MACs resolves to its whitelist entry
+        const entry = await findDeviceEntry(tx, macAddress);
+        if (!entry) continue;
+        
+        // Policy the entry does not set itself comes from its device group
+        const effective = await resolveEffectiveEntry(tx, entry);
+        
+        // Suspended and revoked devices get that answer whatever their attestation
+        const statusDenial = checkEntryStatus(effective);
+        if (statusDenial) {
+            return { entry: effective, denial: statusDenial };
+        }
+        
+        // Enrolled devices must sign a fresh challenge before the rest of the policy is checked
+        const attestation = await verifyDeviceAttestation(tx, entry, body);
+        if (attestation.denial) {
+            return { entry: effective, denial: attestation.denial };
+        }
+        
+        // Expired trials and closed schedule windows are refused without counting the attempt
+        const denial = checkAccessPolicy(effective);
+        if (denial) {
+            return { entry: effective, denial };
+        }
+        
+        // Update last seen and access count
+        entry.lastSeen = new Date().toISOString();
+        entry.accessCount = (entry.accessCount || 0) + 1;
+        
+        // Update device info if provided
+        if (deviceInfo) {
+            entry.lastDevice = {
+                hostname: deviceInfo.hostname,
+                username: deviceInfo.username,
+                platform: deviceInfo.platform,
+                localIP: deviceInfo.localIP,
+                publicIP: deviceInfo.publicIP
+            };
+        }
+        
+        entry.lastMatchedMac = macAddress;
+        
+        await tx.put('macAddresses', entry.macAddress, entry);
+        // Unknown MACs reported by the same machine are queued for an admin to link
+        await proposeLinks(tx, entry, macs);
+        return { entry: await resolveEffectiveEntry(tx, entry), denial: null };
+    }
+    return { entry: null, denial: null };
+}
+
+// Add MAC address to whitelist
+async function handleAddMAC(req, res, store, options) {
+    const { macAddress, description, accessType } = req.body;
+    
+    const auth = await authenticateAdmin(store, req, 'write');
+    if (!auth.success) {
+        return res.status(auth.status).json({
+            success: false,
+            message: auth.message
+        });
+    }
+    
+    if (!macAddress) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address is required'
+        });
+    }
+    
+    const parsedMac = parseMacAddress(macAddress);
+    if (parsedMac.error) {
+        return res.status(400).json({
+            success: false,
+            message: parsedMac.error
+        });
+    }
+    
+    const normalizedMac = parsedMac.mac;
+    const finalAccessType = ACCESS_TYPES.includes(accessType) ? accessType : 'trial';
+    
+    const trialSettings = parseTrialSettings(req.body);
+    if (trialSettings.error) {
+        return res.status(400).json({
+            success: false,
+            message: trialSettings.error
+        });
+    }
+    
+    const scheduleSettings = req.body.schedule === undefined ? null : parseSchedule(req.body.schedule);
+    if (scheduleSettings && scheduleSettings.error) {
+        return res.status(400).json({
+            success: false,
+            message: scheduleSettings.error
+        });
+    }
+    
+    // The duplicate check and the write share one transaction so two adds of one MAC cannot both succeed
+    const { result, persistent: saved } = await persistedTransaction(store, async (tx) => {
+        const group = req.body.group === undefined ? null : await findGroup(tx, req.body.group);
+        if (req.body.group !== undefined && !group) {
+            return { status: 404, message: 'Device group not found' };
+        }
+        
+        if (await findDeviceEntry(tx, normalizedMac)) {
+            return { status: 409, message: 'MAC address already exists in whitelist' };
+        }
+        
+        const entry = {
+            macAddress: normalizedMac,
+            description: description || 'No description',
+            accessType: finalAccessType,
+            addedAt: new Date().toISOString(),
+            lastSeen: null,
+            accessCount: 0,
+            lastDevice: null,
+            ...trialSettings.settings,
+            schedule: scheduleSettings ? scheduleSettings.schedule : null,
+            addedBy: auth.admin.name
+        };
+        // Devices in a group inherit every policy field that was not given explicitly
+        if (group) {
+            entry.groupId = group.id;
+            dropUnsetPolicy(entry, req.body);
+        }
+        
+        return { entry: await saveEntry(tx, entry, { action: 'add-mac', actor: auth.admin.name }) };
+    });
+    
+    if (!result.entry) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+    
+    if (options.reportPersistence && !saved) {
+        console.error('WARNING: MAC address added to memory but failed to persist to storage');
+    }
+    
+    return res.status(201).json({
+        success: true,
+        message: 'MAC address added successfully',
+        data: result.entry,
+        warning: parsedMac.warning,
+        ...persistenceFields(options, saved)
+    });
+}
+
+// Update access type for existing MAC
+async function handleUpdateAccess(req, res, store, options) {
+    const { macAddress, accessType } = req.body;
+    
+    const auth = await authenticateAdmin(store, req, 'write');
+    if (!auth.success) {
+        return res.status(auth.status).json({
+            success: false,
+            message: auth.message
+        });
+    }
+    
+    if (!macAddress || !accessType) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address and access type are required'
+        });
+    }
+    
+    const parsedMac = parseMacAddress(macAddress);
+    if (parsedMac.error) {
+        return res.status(400).json({
+            success: false,
+            message: parsedMac.error
+        });
+    }
+    
+    const normalizedMac = parsedMac.mac;
+    
+    // 'inherit' clears the device's own access type so its group's applies
+    if (!ACCESS_TYPES.includes(accessType) && accessType !== 'inherit') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid access type. Must be: trial, unlimited, admin, or inherit'
+        });
+    }
+    
+    const trialSettings = parseTrialSettings(req.body);
+    if (trialSettings.error) {
+        return res.status(400).json({
+            success: false,
+            message: trialSettings.error
+        });
+    }
+    
+    const scheduleSettings = req.body.schedule === undefined ? null : parseSchedule(req.body.schedule);
+    if (scheduleSettings && scheduleSettings.error) {
+        return res.status(400).json({
+            success: false,
+            message: scheduleSettings.error
+        });
+    }
+    
+    // Read and write the entry in one transaction so launches counted meanwhile are not overwritten
+    const { result, persistent: saved } = await persistedTransaction(store, async (tx) => {
+        const entry = await findDeviceEntry(tx, normalizedMac);
+        if (!entry) {
+            return { status: 404, message: 'MAC address not found in whitelist' };
+        }
+        
+        if (accessType === 'inherit') {
+            delete entry.accessType;
+        } else {
+            entry.accessType = accessType;
+        }
+        Object.assign(entry, trialSettings.settings);
+        if (scheduleSettings) {
+            entry.schedule = scheduleSettings.schedule;
+        }
+        if (typeof req.body.description === 'string') {
+            entry.description = req.body.description.trim() || 'No description';
+        }
+        // Lets a device that lost its key enroll again
+        if (req.body.resetDeviceKey === true) {
+            entry.publicKey = null;
+            entry.enrolledAt = null;
+            delete entry.pendingKey;
+        }
+        // Binds the key the device offered, once the admin has compared its fingerprint
+        if (req.body.approveDeviceKey !== undefined) {
+            const keyError = approvePendingKey(entry, req.body.approveDeviceKey);
+            if (keyError) {
+                return { status: 400, message: keyError };
+            }
+        }
+        entry.updatedAt = new Date().toISOString();
+        entry.updatedBy = auth.admin.name;
+        
+        return { entry: await saveEntry(tx, entry, { action: 'update-access', actor: auth.admin.name }) };
+    });
+    
+    if (!result.entry) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+    
+    return res.status(200).json({
+        success: true,
+        message: 'Access type updated successfully',
+        data: result.entry,
+        ...persistenceFields(options, saved)
+    });
+}
+
+// Remove MAC address from whitelist
+async function handleRemoveMAC(req, res, store, options) {
+    const { macAddress } = req.body;
+    
+    const auth = await authenticateAdmin(store, req, 'write');
+    if (!auth.success) {
+        return res.status(auth.status).json({
+            success: false,
+            message: auth.message
+        });
+    }
+    
+    if (!macAddress) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC address is required'
+        });
+    }
+    
+    // Entries saved before MACs were validated may have non-canonical keys; those can still be removed
+    const parsedMac = parseMacAddress(macAddress);
+    const normalizedMac = parsedMac.error ? String(macAddress).trim().toLowerCase() : parsedMac.mac;
+    
+    // A linked MAC is detached from its device; a device's primary MAC removes the device
+    const { result: removed, persistent: saved } = await persistedTransaction(store, tx => removeDeviceOrLink(tx, normalizedMac, { action: 'remove-mac', actor: auth.admin.name }));
+    if (!removed) {
+        return res.status(404).json({
+            success: false,
+            message: 'MAC address not found in whitelist'
+        });
+    }
+    
+    return res.status(200).json({
+        success: true,
+        message: removed.unlinked ? 'MAC address unlinked from its device' : 'MAC address removed successfully',
+        ...persistenceFields(options, saved)
+    });
+}
+
+// List all MAC addresses (admin only)
+async function handleListMACs(req, res, store) {
+    const auth = await authenticateAdmin(store, req, 'read');
+    if (!auth.success) {
+        return res.status(auth.status).json({
+            success: false,
+            message: auth.message
+        });
+    }
+    
+    // Search, filters, sort and paging as described in lib/device-listing.js
+    const query = { ...req.query, ...(req.body || {}) };
+    const parsed = parseListQuery(query);
+    if (parsed.error) {
+        return res.status(400).json({
+            success: false,
+            message: parsed.error
+        });
+    }
+    
+    // Statistics cover the whole whitelist; revoked devices are hidden from the page
+    // unless asked for, e.g. status=all or status=revoked
+    const allEntries = await store.list('macAddresses');
+    const entries = allEntries
+        .filter(entry => parsed.options.statuses.includes(getEntryStatus(entry)));
+    
+    // Optional group filter: a group id or name, or 'none' for ungrouped devices
+    const listing = groupListing(
+        entries,
+        await store.list('deviceGroups'),
+        query.group
+    );
+    if (listing.error) {
+        return res.status(404).json({
+            success: false,
+            message: listing.error
+        });
+    }
+    
+    const page = listEntries(listing.entries, parsed.options);
+    
+    return res.status(200).json({
+        success: true,
+        message: 'MAC addresses retrieved successfully',
+        data: {
+            macAddresses: page.entries,
+            pagination: page.pagination,
+            statistics: computeStatistics(allEntries),
+            groupStatistics: listing.groupStatistics
+        }
+    });
+}
+
+// Bulk add MAC addresses
+async function handleBulkAdd(req, res, store, options) {
+    const { macAddresses } = req.body;
+    
+    const auth = await authenticateAdmin(store, req, 'write');
+    if (!auth.success) {
+        return res.status(auth.status).json({
+            success: false,
+            message: auth.message
+        });
+    }
+    
+    if (!macAddresses || !Array.isArray(macAddresses)) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC addresses array is required'
+        });
+    }
+    
+    const results = [];
+    let addedCount = 0;
+    
+    // Nothing is written, so nothing is persisted, when no MAC addresses were added
+    const { persistent: saved } = await persistedTransaction(store, async (tx) => {
+        for (const macData of macAddresses) {
+            const { macAddress, description, accessType } = macData;
+            const parsedMac = parseMacAddress(macAddress);
+            const normalizedMac = parsedMac.mac;
+            const finalAccessType = ACCESS_TYPES.includes(accessType) ? accessType : 'trial';
+            const trialSettings = parseTrialSettings(macData);
+            const scheduleSettings = macData.schedule === undefined ? null : parseSchedule(macData.schedule);
+            
+            if (parsedMac.error) {
+                results.push({ macAddress: macAddress || 'invalid', success: false, message: parsedMac.error });
+                continue;
+            }
+            
+            if (trialSettings.error) {
+                results.push({ macAddress: normalizedMac, success: false, message: trialSettings.error });
+                continue;
+            }
+            
+            if (scheduleSettings && scheduleSettings.error) {
+                results.push({ macAddress: normalizedMac, success: false, message: scheduleSettings.error });
+                continue;
+            }
+            
+            if (await findDeviceEntry(tx, normalizedMac)) {
+                results.push({ macAddress: normalizedMac, success: false, message: 'Already exists' });
+                continue;
+            }
+            
+            const entry = {
+                macAddress: normalizedMac,
+                description: description || 'Bulk added',
+                accessType: finalAccessType,
+                addedAt: new Date().toISOString(),
+                lastSeen: null,
+                accessCount: 0,
+                lastDevice: null,
+                ...trialSettings.settings,
+                schedule: scheduleSettings ? scheduleSettings.schedule : null,
+                addedBy: auth.admin.name
+            };
+            
+            await saveEntry(tx, entry, { action: 'bulk-add', actor: auth.admin.name });
+            results.push({ macAddress: normalizedMac, success: true, message: 'Added successfully', warning: parsedMac.warning });
+            addedCount++;
+        }
+    });
+    
+    return res.status(200).json({
+        success: true,
+        message: `Bulk add completed. ${addedCount} MAC addresses added.`,
+        data: {
+            results: results,
+            totalProcessed: macAddresses.length,
+            totalAdded: addedCount
+        },
+        ...persistenceFields(options, saved)
+    });
+}
@@ -0,0 +1,193 @@
+// lib/attestation.js - Challenge-response device attestation
+//
+// 1. Enrollment: a whitelisted device sends its Ed25519 public key (`publicKey`, PEM or
+//    base64 SPKI DER) with check-access. The key is kept as the entry's pendingKey until an
+//    admin approves it by fingerprint (update-access with approveDeviceKey); anyone who knows
+//    a MAC could have sent it, so nothing is bound before that.
+// 2. Afterwards the device asks for a challenge (`challenge` action with its macAddresses),
+//    signs the returned nonce (UTF-8 bytes) with its private key and sends `challengeId` and
+//    `signature` (base64) with check-access. Each challenge can be used once.
+import crypto from 'crypto';
+import { getAttestationConfig } from './config.js';
+import { canonicalizeMacList } from './mac-address.js';
+import { deviceMacs } from './device-links.js';
+
+// Parse a client-supplied public key; returns the normalized PEM or null
+export function normalizePublicKey(value) {
+    if (typeof value !== 'string' || value.length === 0) return null;
+
+    try {
+        const key = value.includes('-----BEGIN')
+            ? crypto.createPublicKey(value)
+            : crypto.createPublicKey({ key: Buffer.from(value, 'base64'), format: 'der', type: 'spki' });
+
+        if (key.asymmetricKeyType !== 'ed25519') return null;
+        return key.export({ type: 'spki', format: 'pem' });
+    } catch {
+        return null;
+    }
+}
+
+// SHA-256 of the key's SPKI DER, shown to the device and the admin so they can compare it
+export function keyFingerprint(publicKeyPem) {
+    const der = crypto.createPublicKey(publicKeyPem).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+// Bind the entry's pending key if its fingerprint is the one the admin approved.
+// Returns null on success or an error message.
+export function approvePendingKey(entry, fingerprint) {
+    if (!entry.pendingKey) {
+        return 'Device has no key waiting for approval';
+    }
+    if (typeof fingerprint !== 'string' || fingerprint.trim().toLowerCase() !== entry.pendingKey.fingerprint) {
+        return 'Fingerprint does not match the key waiting for approval';
+    }
+    entry.publicKey = entry.pendingKey.publicKey;
+    entry.enrolledAt = new Date().toISOString();
+    delete entry.pendingKey;
+    return null;
+}
+
+export function createChallenge(macAddresses, config = getAttestationConfig()) {
+    return {
+        id: crypto.randomUUID(),
+        nonce: crypto.randomBytes(32).toString('base64url'),
+        macAddresses: canonicalizeMacList(macAddresses).macs,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + config.challengeTtlSeconds * 1000).toISOString()
+    };
+}
+
+// What the client needs from a stored challenge
+export function describeChallenge(challenge) {
+    return {
+        challengeId: challenge.id,
+        nonce: challenge.nonce,
+        expiresAt: challenge.expiresAt
+    };
+}
+
+function attestationDenial(reason, message, status, challenge = null) {
+    return {
+        reason,
+        message,
+        status,
+        details: challenge ? { challenge: describeChallenge(challenge) } : {}
+    };
+}
+
+// Drop challenges that expired without being used
+async function pruneChallenges(tx) {
+    const now = Date.now();
+    for (const challenge of await tx.list('challenges')) {
+        if (new Date(challenge.expiresAt).getTime() <= now) {
+            await tx.delete('challenges', challenge.id);
+        }
+    }
+}
+
+// Check the attestation fields of a check-access body against a whitelist entry, inside tx.
+// Call it only for entries whose status allows access. A key offered by an unenrolled device is
+// saved as its pendingKey. Returns { denial } to refuse or {} to continue.
+export async function verifyDeviceAttestation(tx, entry, body, config = getAttestationConfig()) {
+    const { publicKey, challengeId, signature } = body;
+
+    if (!entry.publicKey) {
+        if (publicKey !== undefined) {
+            const offered = normalizePublicKey(publicKey);
+            if (!offered) {
+                return { denial: attestationDenial('invalid_public_key', 'Device public key must be an Ed25519 key', 400) };
+            }
+            if (!entry.pendingKey || entry.pendingKey.publicKey !== offered) {
+                entry.pendingKey = {
+                    publicKey: offered,
+                    fingerprint: keyFingerprint(offered),
+                    requestedAt: new Date().toISOString()
+                };
+                await tx.put('macAddresses', entry.macAddress, entry);
+            }
+        }
+
+        if (config.requireEnrollment) {
+            if (entry.pendingKey) {
+                return {
+                    denial: {
+                        ...attestationDenial('enrollment_pending', 'Device key is waiting for administrator approval', 401),
+                        details: { fingerprint: entry.pendingKey.fingerprint }
+                    }
+                };
+            }
+            return { denial: attestationDenial('enrollment_required', 'Device must enroll a public key', 401) };
+        }
+        return {};
+    }
+
+    // Enrolled devices must prove they hold the private key
+    if (!challengeId || !signature) {
+        const challenge = createChallenge([entry.macAddress], config);
+        await pruneChallenges(tx);
+        await tx.put('challenges', challenge.id, challenge);
+        return { denial: attestationDenial('attestation_required', 'Sign the challenge nonce to continue', 401, challenge) };
+    }
+
+    const challenge = await tx.get('challenges', challengeId);
+    // Challenges are single use, whatever the outcome
+    if (challenge) {
+        await tx.delete('challenges', challengeId);
+    }
+
+    if (!challenge || new Date(challenge.expiresAt).getTime() <= Date.now() ||
+        !deviceMacs(entry).some(mac => challenge.macAddresses.includes(mac))) {
+        return { denial: attestationDenial('challenge_invalid', 'Challenge is unknown, expired or for another device', 401) };
+    }
+
+    let valid = false;
+    try {
+        valid = crypto.verify(
+            null,
+            Buffer.from(challenge.nonce, 'utf8'),
+            crypto.createPublicKey(entry.publicKey),
+            Buffer.from(signature, 'base64')
+        );
+    } catch {
+        valid = false;
+    }
+
+    if (!valid) {
+        return { denial: attestationDenial('attestation_failed', 'Device signature verification failed', 403) };
+    }
+
+    return {};
+}
+
+// Issue a nonce for a device to sign before check-access
+export async function handleIssueChallenge(req, res, store) {
+    const { macAddresses } = req.body || {};
+
+    if (!macAddresses || !Array.isArray(macAddresses) || macAddresses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'MAC addresses are required'
+        });
+    }
+
+    const challenge = createChallenge(macAddresses);
+    if (challenge.macAddresses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No valid MAC addresses provided'
+        });
+    }
+    
+    await store.transaction(async (tx) => {
+        await pruneChallenges(tx);
+        await tx.put('challenges', challenge.id, challenge);
+    });
+
+    return res.status(200).json({
+        success: true,
+        message: 'Challenge issued',
+        data: describeChallenge(challenge)
+    });
+}
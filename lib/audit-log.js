@@ -0,0 +1,236 @@
+// lib/audit-log.js - Append-only audit log of access checks and admin changes
+//
+// Each event: { id, timestamp, action, category ('access' | 'admin'), outcome, status, reason,
+//               macAddress, actor, ip, userAgent, message, details }
+// outcome is 'granted' or 'denied' for check-access and 'success' or 'failure' for everything else.
+import { getAuditConfig } from './config.js';
+import { requireAdmin } from './admin-auth.js';
+import { getClientIp, getUserAgent, describeDevice } from './request-info.js';
+import { canonicalizeMac, canonicalizeMacList } from './mac-address.js';
+import { sortableId, parseTime, paginate } from './record-helpers.js';
+
+export const OUTCOMES = ['granted', 'denied', 'success', 'failure'];
+
+// Actions that change nothing are not audited (everything else is, including unknown ones)
+const UNAUDITED_ACTIONS = [
+    'challenge',
+    'health',
+    'public-key',
+    'verify-token',
+    'list-macs',
+    'list-admins',
+    'list-groups',
+    'list-link-proposals',
+    'list-access-requests',
+    'list-enrollment-codes',
+    'export',
+    'audit-log',
+    'history'
+];
+
+// Request fields worth keeping with an event; secrets and key material never are
+const DETAIL_FIELDS = [
+    'macAddress', 'accessType', 'description', 'name', 'group', 'device', 'scopes',
+    'tokenId', 'proposalId', 'trialExpiresAt', 'trialDays', 'trialMaxLaunches', 'schedule',
+    'reason', 'resumeAt', 'requestId', 'note', 'codeId', 'maxRedemptions', 'expiresInDays',
+    'format', 'mode', 'dryRun', 'onConflict'
+];
+const MAX_DETAIL_MACS = 20;
+
+// Prune old events every this many appends rather than on each one
+const PRUNE_INTERVAL = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let appendsSincePrune = PRUNE_INTERVAL;
+
+export function isAuditedAction(action) {
+    return !UNAUDITED_ACTIONS.includes(action);
+}
+
+function pickDetails(body) {
+    const details = {};
+    for (const field of DETAIL_FIELDS) {
+        if (body[field] !== undefined) {
+            details[field] = body[field];
+        }
+    }
+    if (Array.isArray(body.macAddresses)) {
+        details.macAddresses = body.macAddresses
+            .slice(0, MAX_DETAIL_MACS)
+            .map(item => (typeof item === 'object' && item !== null ? item.macAddress : item));
+        details.itemCount = body.macAddresses.length;
+    }
+    if (Array.isArray(body.operations)) {
+        details.operations = body.operations
+            .slice(0, MAX_DETAIL_MACS)
+            .map(item => (typeof item === 'object' && item !== null ? `${item.op} ${item.macAddress}` : String(item)));
+        details.itemCount = body.operations.length;
+    }
+    return details;
+}
+
+async function pruneAuditLog(tx, config) {
+    const cutoff = new Date(Date.now() - config.retentionDays * DAY_MS).toISOString();
+    const events = (await tx.list('auditLog')).sort((a, b) => a.id.localeCompare(b.id));
+    const excess = Math.max(0, events.length - config.maxEntries);
+
+    for (let i = 0; i < events.length; i++) {
+        if (i >= excess && events[i].timestamp >= cutoff) break;
+        await tx.delete('auditLog', events[i].id);
+    }
+}
+
+function createRecord(event) {
+    const now = Date.now();
+    return {
+        id: sortableId(now),
+        timestamp: new Date(now).toISOString(),
+        category: event.action === 'check-access' ? 'access' : 'admin',
+        status: null,
+        reason: null,
+        macAddress: null,
+        actor: null,
+        ip: null,
+        userAgent: null,
+        message: null,
+        details: {},
+        ...event
+    };
+}
+
+// Add one event inside tx, so it is saved together with the changes it describes
+export async function writeAuditEvent(tx, event, config = getAuditConfig()) {
+    const record = createRecord(event);
+    await tx.put('auditLog', record.id, record);
+
+    if (++appendsSincePrune >= PRUNE_INTERVAL) {
+        appendsSincePrune = 0;
+        await pruneAuditLog(tx, config);
+    }
+    return record;
+}
+
+// Append one event; failures are logged and swallowed so auditing never breaks a request
+export async function appendAuditEvent(store, event, config = getAuditConfig()) {
+    try {
+        return await store.transaction(tx => writeAuditEvent(tx, event, config));
+    } catch (error) {
+        console.error('❌ Failed to write audit event:', error);
+        return createRecord(event);
+    }
+}
+
+// Start auditing one API request. The response is captured as it is sent and the event is
+// written by finish(), which the handler awaits once the action has completed. A handler that
+// already knows its response inside a transaction can record(tx, status, body) it there instead,
+// which finish() then leaves alone unless a different response went out after all.
+export function beginAudit(store, req, res, action) {
+    if (!isAuditedAction(action) || typeof res.json !== 'function') {
+        return { record: async () => {}, finish: async () => {} };
+    }
+
+    let response = null;
+    let recordedStatus = null;
+    const send = res.json.bind(res);
+    res.json = (body) => {
+        response = { status: res.statusCode, body: body };
+        return send(body);
+    };
+
+    function describe(status, result) {
+        const body = req.body || {};
+        const succeeded = status >= 200 && status < 300 && result?.success !== false;
+        const isAccessCheck = action === 'check-access';
+
+        // The device the action resolved to, else the first MAC the client sent
+        const requestedMac = body.macAddress ?? (Array.isArray(body.macAddresses) ? body.macAddresses[0] : null);
+        const macAddress = result?.data?.macAddress || canonicalizeMac(requestedMac) || null;
+
+        return {
+            action: action || 'unknown',
+            outcome: isAccessCheck ? (succeeded ? 'granted' : 'denied') : (succeeded ? 'success' : 'failure'),
+            status: status,
+            reason: result?.reason || (status === 429 ? 'rate_limited' : null),
+            macAddress: macAddress,
+            // Set by authenticateAdmin once the caller is known
+            actor: req.admin ? req.admin.name : null,
+            ip: getClientIp(req),
+            userAgent: getUserAgent(req),
+            message: result?.message || null,
+            details: isAccessCheck
+                ? { macAddresses: canonicalizeMacList(body.macAddresses).macs.slice(0, MAX_DETAIL_MACS), deviceInfo: describeDevice(body.deviceInfo) }
+                : pickDetails(body)
+        };
+    }
+
+    return {
+        async record(tx, status, result) {
+            await writeAuditEvent(tx, describe(status, result));
+            recordedStatus = status;
+        },
+
+        async finish() {
+            if (!response || response.status === recordedStatus) return;
+            await appendAuditEvent(store, describe(response.status, response.body));
+        }
+    };
+}
+
+// Query the audit log (newest first): macAddress, from, to, outcome, actionType, actor, page, pageSize
+export async function handleQueryAuditLog(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'read');
+    if (!admin) return;
+
+    const query = { ...req.query, ...(req.body || {}) };
+    const from = parseTime(query.from, 'from');
+    const to = parseTime(query.to, 'to');
+    const dateError = from.error || to.error;
+    if (dateError) {
+        return res.status(400).json({
+            success: false,
+            message: dateError
+        });
+    }
+
+    const outcomes = query.outcome ? [].concat(query.outcome) : null;
+    if (outcomes && outcomes.some(outcome => !OUTCOMES.includes(outcome))) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid outcome. Must be any of: ${OUTCOMES.join(', ')}`
+        });
+    }
+
+    let macAddress = null;
+    if (query.macAddress) {
+        macAddress = canonicalizeMac(query.macAddress);
+        if (!macAddress) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid MAC address'
+            });
+        }
+    }
+
+    const actions = query.actionType ? [].concat(query.actionType) : null;
+
+    const events = (await store.list('auditLog'))
+        .filter(event =>
+            // A device's other MACs are matched too, through the MACs it reported
+            (!macAddress || event.macAddress === macAddress || (event.details?.macAddresses || []).includes(macAddress)) &&
+            (!from.time || event.timestamp >= from.time) &&
+            (!to.time || event.timestamp <= to.time) &&
+            (!outcomes || outcomes.includes(event.outcome)) &&
+            (!actions || actions.includes(event.action)) &&
+            (!query.actor || event.actor === query.actor))
+        .sort((a, b) => b.id.localeCompare(a.id));
+    const page = paginate(events, query);
+
+    return res.status(200).json({
+        success: true,
+        message: 'Audit log retrieved successfully',
+        data: {
+            events: page.records,
+            pagination: page.pagination
+        }
+    });
+}
@@ -0,0 +1,271 @@
+// lib/bulk-operations.js - Several whitelist changes applied in one go, all or nothing
+//
+// The bulk action takes { operations, onConflict?, dryRun? }. Each operation is one of
+//   { op: 'add', macAddress, description?, accessType?, group?, trialDays?, trialExpiresAt?,
+//     trialMaxLaunches?, schedule? }
+//   { op: 'update', macAddress, description?, accessType? ('inherit' clears it), trial settings?, schedule? }
+//   { op: 'remove', macAddress }
+//   { op: 'suspend', macAddress, reason?, resumeAt? }
+// Operations run in order inside one transaction, so later ones see what earlier ones did.
+// onConflict covers an add of a device that is already whitelisted ('skip' it, 'overwrite' its
+// settings, or 'fail', the default) and an update, remove or suspend of a device that is missing
+// or cannot change ('fail', otherwise skipped). An add that overwrites a device in another group
+// moves it the way move-devices does. One failed operation rolls the whole batch back, and a dry
+// run always does.
+import { requireAdmin } from './admin-auth.js';
+import { ACCESS_TYPES, parseTrialSettings } from './access-policy.js';
+import { parseSchedule } from './schedule.js';
+import { parseMacAddress } from './mac-address.js';
+import { checkResumeAt, suspendEntry } from './entry-status.js';
+import { findGroup, dropUnsetPolicy, moveToGroup } from './device-groups.js';
+import { findDeviceEntry, removeDeviceOrLink } from './device-links.js';
+import { saveEntry } from './change-history.js';
+
+export const BULK_OPERATIONS = ['add', 'update', 'remove', 'suspend'];
+export const CONFLICT_POLICIES = ['skip', 'overwrite', 'fail'];
+
+const MAX_OPERATIONS = 1000;
+
+// Thrown out of the transaction to discard its writes
+function rollback(outcome) {
+    const error = new Error('Bulk operation rolled back');
+    error.code = 'EROLLBACK';
+    error.outcome = outcome;
+    return error;
+}
+
+// Settings an add or update carries. Returns { fields, group } or { error }; group is the
+// device group an add names, null if it names none.
+async function parseFields(tx, operation) {
+    const fields = {};
+
+    if (operation.description !== undefined) {
+        if (typeof operation.description !== 'string') {
+            return { error: 'description must be text' };
+        }
+        fields.description = operation.description.trim() || 'No description';
+    }
+
+    if (operation.accessType !== undefined) {
+        const allowInherit = operation.op === 'update';
+        if (!ACCESS_TYPES.includes(operation.accessType) && !(allowInherit && operation.accessType === 'inherit')) {
+            return { error: `Invalid access type. Must be: trial, unlimited, admin${allowInherit ? ', or inherit' : ''}` };
+        }
+        fields.accessType = operation.accessType;
+    }
+
+    const trialSettings = parseTrialSettings(operation);
+    if (trialSettings.error) {
+        return { error: trialSettings.error };
+    }
+    Object.assign(fields, trialSettings.settings);
+
+    if (operation.schedule !== undefined) {
+        const scheduleSettings = parseSchedule(operation.schedule);
+        if (scheduleSettings.error) {
+            return { error: scheduleSettings.error };
+        }
+        fields.schedule = scheduleSettings.schedule;
+    }
+
+    if (operation.group !== undefined) {
+        if (operation.op !== 'add') {
+            return { error: 'Use move-devices to change the group of existing devices' };
+        }
+        const group = await findGroup(tx, operation.group);
+        if (!group) {
+            return { error: 'Device group not found' };
+        }
+        return { fields, group };
+    }
+
+    return { fields, group: null };
+}
+
+function applyFields(entry, fields, actor) {
+    for (const [field, value] of Object.entries(fields)) {
+        if (field === 'accessType' && value === 'inherit') {
+            delete entry.accessType;
+        } else {
+            entry[field] = value;
+        }
+    }
+    entry.updatedAt = new Date().toISOString();
+    entry.updatedBy = actor;
+    return entry;
+}
+
+// A device the operation needs is missing or in the way
+function conflict(onConflict, message) {
+    return onConflict === 'fail'
+        ? { status: 'failed', reason: 'conflict', message }
+        : { status: 'skipped', message };
+}
+
+// Run one operation inside tx. Returns { status, message, macAddress?, reason? }.
+async function applyOperation(tx, operation, { onConflict, actor }) {
+    if (!operation || typeof operation !== 'object' || !BULK_OPERATIONS.includes(operation.op)) {
+        return { status: 'failed', reason: 'invalid', message: `op must be one of: ${BULK_OPERATIONS.join(', ')}` };
+    }
+
+    const parsedMac = parseMacAddress(operation.macAddress);
+    if (parsedMac.error) {
+        return { status: 'failed', reason: 'invalid', message: parsedMac.error };
+    }
+    const change = { action: 'bulk', actor: actor };
+
+    if (operation.op === 'remove') {
+        const removed = await removeDeviceOrLink(tx, parsedMac.mac, change);
+        if (!removed) {
+            return conflict(onConflict, 'MAC address not found in whitelist');
+        }
+        return removed.unlinked
+            ? { status: 'unlinked', message: 'MAC address unlinked from its device' }
+            : { status: 'removed', message: 'MAC address removed' };
+    }
+
+    if (operation.op === 'suspend') {
+        const invalid = checkResumeAt(operation.resumeAt);
+        if (invalid) {
+            return { status: 'failed', reason: 'invalid', message: invalid };
+        }
+        const entry = await findDeviceEntry(tx, parsedMac.mac);
+        if (!entry) {
+            return conflict(onConflict, 'MAC address not found in whitelist');
+        }
+        const refusal = suspendEntry(entry, operation, actor);
+        if (refusal) {
+            return conflict(onConflict, refusal);
+        }
+        entry.updatedAt = new Date().toISOString();
+        entry.updatedBy = actor;
+        await saveEntry(tx, entry, change);
+        return { status: 'suspended', macAddress: entry.macAddress, message: 'Device suspended' };
+    }
+
+    const parsed = await parseFields(tx, operation);
+    if (parsed.error) {
+        return { status: 'failed', reason: 'invalid', message: parsed.error };
+    }
+    const existing = await findDeviceEntry(tx, parsedMac.mac);
+
+    if (operation.op === 'update' || (existing && onConflict === 'overwrite')) {
+        if (!existing) {
+            return conflict(onConflict, 'MAC address not found in whitelist');
+        }
+        // The fields the add gives explicitly still override the new group's policy
+        if (parsed.group && existing.groupId !== parsed.group.id) {
+            await moveToGroup(tx, existing, parsed.group);
+        }
+        await saveEntry(tx, applyFields(existing, parsed.fields, actor), change);
+        return { status: 'updated', macAddress: existing.macAddress, message: 'Device updated' };
+    }
+
+    if (existing) {
+        return conflict(onConflict, 'MAC address already exists in whitelist');
+    }
+
+    const entry = {
+        macAddress: parsedMac.mac,
+        description: 'No description',
+        accessType: 'trial',
+        addedAt: new Date().toISOString(),
+        lastSeen: null,
+        accessCount: 0,
+        lastDevice: null,
+        schedule: null,
+        ...parsed.fields,
+        addedBy: actor
+    };
+    // Devices in a group inherit every policy field that was not given explicitly
+    if (parsed.group) {
+        entry.groupId = parsed.group.id;
+        dropUnsetPolicy(entry, operation);
+    }
+    await saveEntry(tx, entry, change);
+    return { status: 'added', message: 'MAC address added', warning: parsedMac.warning };
+}
+
+function summarize(results) {
+    const summary = { total: results.length };
+    for (const status of ['added', 'updated', 'removed', 'unlinked', 'suspended', 'skipped', 'failed']) {
+        summary[status] = results.filter(result => result.status === status).length;
+    }
+    return summary;
+}
+
+export function describeBulkOutcome(outcome) {
+    const { summary } = outcome;
+    if (summary.failed > 0) {
+        return `Bulk operation failed: ${summary.failed} of ${summary.total} operation(s) could not be applied; nothing was changed`;
+    }
+    const counts = `${summary.added} added, ${summary.updated} updated, ${summary.removed + summary.unlinked} removed, ` +
+        `${summary.suspended} suspended, ${summary.skipped} skipped`;
+    return outcome.dryRun ? `Dry run: ${counts}` : `Bulk operation applied: ${counts}`;
+}
+
+// Apply operations atomically. Returns { error } for a malformed request, otherwise
+// { applied, dryRun, onConflict, results, summary } with one result per operation.
+export async function runBulkOperations(store, operations, { onConflict = 'fail', dryRun = false, actor = null } = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return { error: 'operations must be a non-empty array' };
+    }
+    if (operations.length > MAX_OPERATIONS) {
+        return { error: `A bulk request is limited to ${MAX_OPERATIONS} operations` };
+    }
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+        return { error: `Invalid onConflict. Must be: ${CONFLICT_POLICIES.join(', ')}` };
+    }
+
+    try {
+        return await store.transaction(async (tx) => {
+            const results = [];
+            for (const [index, operation] of operations.entries()) {
+                const result = await applyOperation(tx, operation, { onConflict, actor });
+                results.push({
+                    index: index,
+                    op: operation?.op ?? null,
+                    macAddress: result.macAddress ?? parseMacAddress(operation?.macAddress).mac ?? operation?.macAddress ?? null,
+                    ...result
+                });
+            }
+
+            const outcome = { applied: false, dryRun, onConflict, results, summary: summarize(results) };
+            if (dryRun || outcome.summary.failed > 0) {
+                throw rollback(outcome);
+            }
+            return { ...outcome, applied: true };
+        });
+    } catch (error) {
+        if (error.code === 'EROLLBACK') {
+            return error.outcome;
+        }
+        throw error;
+    }
+}
+
+// Apply a batch of add, update, remove and suspend operations: { operations, onConflict?, dryRun? }
+export async function handleBulk(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const outcome = await runBulkOperations(store, req.body.operations, {
+        onConflict: req.body.onConflict ?? 'fail',
+        dryRun: req.body.dryRun === true,
+        actor: admin.name
+    });
+
+    if (outcome.error) {
+        return res.status(400).json({
+            success: false,
+            message: outcome.error
+        });
+    }
+
+    const failed = outcome.results.filter(result => result.status === 'failed');
+    return res.status(failed.length === 0 ? 200 : failed.some(result => result.reason === 'invalid') ? 400 : 409).json({
+        success: failed.length === 0,
+        message: describeBulkOutcome(outcome),
+        data: outcome
+    });
+}
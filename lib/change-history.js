@@ -0,0 +1,200 @@
+// lib/change-history.js - Before/after snapshots of whitelist entries, with history and revert
+//
+// Admin changes to macAddresses go through saveEntry/removeEntry, which record
+//   { id, macAddress, action, actor, timestamp, before, after, revertOf }
+// in changeHistory. before is null for an addition and after is null for a removal. Access
+// checks update usage counters directly and are not part of the history.
+import { requireAdmin } from './admin-auth.js';
+import { canonicalizeMac } from './mac-address.js';
+import { sortableId, paginate } from './record-helpers.js';
+
+const MAX_HISTORY_ENTRIES = 5000;
+const PRUNE_INTERVAL = 50;
+
+// Kept from the current entry when reverting, so an undo never rolls back real usage
+const USAGE_FIELDS = ['lastSeen', 'accessCount', 'lastDevice', 'lastMatchedMac'];
+
+let recordsSincePrune = PRUNE_INTERVAL;
+
+async function pruneHistory(tx) {
+    const changes = await tx.list('changeHistory');
+    if (changes.length <= MAX_HISTORY_ENTRIES) return;
+
+    changes.sort((a, b) => a.id.localeCompare(b.id));
+    for (const change of changes.slice(0, changes.length - MAX_HISTORY_ENTRIES)) {
+        await tx.delete('changeHistory', change.id);
+    }
+}
+
+async function recordChange(tx, macAddress, before, after, { action, actor = null, revertOf = null }) {
+    const now = Date.now();
+    const record = {
+        id: sortableId(now),
+        macAddress: macAddress,
+        action: action,
+        actor: actor,
+        timestamp: new Date(now).toISOString(),
+        before: before,
+        after: after,
+        revertOf: revertOf
+    };
+    await tx.put('changeHistory', record.id, record);
+
+    if (++recordsSincePrune >= PRUNE_INTERVAL) {
+        recordsSincePrune = 0;
+        await pruneHistory(tx);
+    }
+    return record;
+}
+
+// Write an entry inside tx and record the change; change is { action, actor }
+export async function saveEntry(tx, entry, change) {
+    const before = await tx.get('macAddresses', entry.macAddress);
+    const saved = await tx.put('macAddresses', entry.macAddress, entry);
+    await recordChange(tx, entry.macAddress, before, saved, change);
+    return saved;
+}
+
+// Delete an entry inside tx and record the change. Returns the removed entry or null.
+export async function removeEntry(tx, macAddress, change) {
+    const before = await tx.get('macAddresses', macAddress);
+    if (!before) return null;
+
+    await tx.delete('macAddresses', macAddress);
+    await recordChange(tx, macAddress, before, null, change);
+    return before;
+}
+
+// Bring a snapshot back inside tx. Linked MACs taken by another device since are dropped.
+// Returns { entry } (entry is null when the snapshot is a removal) or { status, message }.
+async function restoreSnapshot(tx, macAddress, snapshot, change) {
+    const current = await tx.get('macAddresses', macAddress);
+
+    if (!snapshot) {
+        if (!current) {
+            return { status: 409, message: 'Device is already absent' };
+        }
+        for (const mac of current.linkedMacs || []) {
+            await tx.delete('macLinks', mac);
+        }
+        await removeEntry(tx, macAddress, change);
+        return { entry: null };
+    }
+
+    const owner = current ? null : await tx.get('macLinks', macAddress);
+    if (owner) {
+        return { status: 409, message: `MAC address is now linked to device ${owner.deviceMac}; unlink it first` };
+    }
+
+    const restored = { ...snapshot };
+    if (current) {
+        for (const field of USAGE_FIELDS) {
+            restored[field] = current[field];
+        }
+    }
+
+    // Links follow the snapshot: release the ones it lacks, reclaim the ones still free
+    for (const mac of current?.linkedMacs || []) {
+        if (!(restored.linkedMacs || []).includes(mac)) {
+            await tx.delete('macLinks', mac);
+        }
+    }
+    const linkedMacs = [];
+    for (const mac of restored.linkedMacs || []) {
+        const link = await tx.get('macLinks', mac);
+        if ((link && link.deviceMac !== macAddress) || await tx.get('macAddresses', mac)) continue;
+
+        if (!link) {
+            await tx.put('macLinks', mac, {
+                macAddress: mac,
+                deviceMac: macAddress,
+                linkedAt: new Date().toISOString(),
+                linkedBy: change.actor,
+                proposalId: null
+            });
+        }
+        linkedMacs.push(mac);
+    }
+    if (restored.linkedMacs) {
+        restored.linkedMacs = linkedMacs;
+    }
+
+    restored.updatedAt = new Date().toISOString();
+    restored.updatedBy = change.actor;
+    return { entry: await saveEntry(tx, restored, change) };
+}
+
+// Change log for one device (macAddress) or all devices, newest first, paginated
+export async function handleHistory(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'read');
+    if (!admin) return;
+
+    const query = { ...req.query, ...(req.body || {}) };
+
+    let macAddress = null;
+    if (query.macAddress) {
+        macAddress = canonicalizeMac(query.macAddress);
+        if (!macAddress) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid MAC address'
+            });
+        }
+    }
+
+    const changes = (await store.list('changeHistory'))
+        .filter(change => !macAddress || change.macAddress === macAddress)
+        .sort((a, b) => b.id.localeCompare(a.id));
+    const page = paginate(changes, query);
+
+    return res.status(200).json({
+        success: true,
+        message: 'Change history retrieved successfully',
+        data: {
+            changes: page.records,
+            pagination: page.pagination
+        }
+    });
+}
+
+// Restore a device from its history: { changeId, restore: 'before' | 'after' }.
+// 'before' (the default) undoes that change; 'after' returns the device to the revision it produced.
+export async function handleRevert(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const { changeId: id, restore = 'before' } = req.body;
+
+    if (!id || !['before', 'after'].includes(restore)) {
+        return res.status(400).json({
+            success: false,
+            message: "changeId is required and restore must be 'before' or 'after'"
+        });
+    }
+
+    const result = await store.transaction(async (tx) => {
+        const change = await tx.get('changeHistory', id);
+        if (!change) {
+            return { status: 404, message: 'Change not found in history' };
+        }
+
+        return restoreSnapshot(tx, change.macAddress, change[restore], {
+            action: 'revert',
+            actor: admin.name,
+            revertOf: change.id
+        });
+    });
+
+    if (result.status) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: result.entry ? 'Device restored from history' : 'Device removed to match history',
+        data: result.entry
+    });
+}
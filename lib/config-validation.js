@@ -0,0 +1,153 @@
+// lib/config-validation.js - Startup checks for security and storage settings
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getStorageConfig, getSecurityConfig, getAccessTokenConfig, checkAdminKeyStrength } from './config.js';
+
+const ORIGIN_PATTERN = /^https?:\/\/[^/\s]+$/;
+
+let validation = null;
+
+async function isWritableDirectory(directory) {
+    try {
+        await fs.mkdir(directory, { recursive: true });
+        await fs.access(directory, fs.constants.W_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function checkStorage(storage, problems) {
+    if (storage.backend === 'memory') {
+        problems.push({
+            setting: 'STORAGE_BACKEND',
+            severity: 'warning',
+            message: 'Memory storage is selected - whitelist changes are lost on restart'
+        });
+        return;
+    }
+
+    if (storage.backend === 'sqlite') {
+        if (!(await isWritableDirectory(path.dirname(storage.sqliteFile)))) {
+            problems.push({
+                setting: 'SQLITE_FILE',
+                severity: 'error',
+                message: `Directory for ${storage.sqliteFile} is not writable`
+            });
+        }
+        return;
+    }
+
+    if (storage.backend !== 'json') {
+        problems.push({
+            setting: 'STORAGE_BACKEND',
+            severity: 'error',
+            message: `Unknown storage backend: ${storage.backend}`
+        });
+        return;
+    }
+
+    const writable = [];
+    for (const file of storage.files) {
+        if (await isWritableDirectory(path.dirname(file.path))) {
+            writable.push(file.name);
+        } else {
+            problems.push({
+                setting: file.name === 'Primary' ? 'DATA_FILE' : `${file.name.toUpperCase()}_FILE`,
+                severity: 'warning',
+                message: `${file.name} storage location ${file.path} is not writable`
+            });
+        }
+    }
+
+    if (writable.length === 0) {
+        problems.push({
+            setting: 'DATA_FILE',
+            severity: 'error',
+            message: 'No storage location is writable - changes cannot be saved'
+        });
+    }
+}
+
+function checkOrigins(security, problems) {
+    for (const origin of security.allowedOrigins) {
+        if (origin !== '*' && !ORIGIN_PATTERN.test(origin)) {
+            problems.push({
+                setting: 'ALLOWED_ORIGINS',
+                severity: 'error',
+                message: `Invalid origin "${origin}" - use scheme and host only, e.g. https://example.com`
+            });
+        }
+    }
+
+    if (security.production && security.allowedOrigins.includes('*')) {
+        problems.push({
+            setting: 'ALLOWED_ORIGINS',
+            severity: 'warning',
+            message: 'Any origin may call the API - set ALLOWED_ORIGINS to restrict browser access'
+        });
+    }
+}
+
+function checkSigningKey(tokens, security, problems) {
+    if (tokens.privateKeyPem) {
+        try {
+            if (crypto.createPrivateKey(tokens.privateKeyPem).asymmetricKeyType !== 'ed25519') {
+                throw new Error('not an Ed25519 key');
+            }
+        } catch (error) {
+            problems.push({
+                setting: 'ACCESS_TOKEN_PRIVATE_KEY',
+                severity: 'error',
+                message: `Access token signing key is unusable: ${error.message}`
+            });
+        }
+    } else if (security.production) {
+        problems.push({
+            setting: 'ACCESS_TOKEN_PRIVATE_KEY',
+            severity: 'warning',
+            message: `No signing key configured - a generated key is kept in ${tokens.keyFile}, which other instances may not share`
+        });
+    }
+}
+
+export async function validateConfig(env = process.env) {
+    const security = getSecurityConfig(env);
+    const problems = [];
+
+    const keyProblem = checkAdminKeyStrength(security.adminKey);
+    if (keyProblem) {
+        problems.push({
+            setting: 'ADMIN_SECRET_KEY',
+            // Admin actions are refused in production until this is fixed
+            severity: security.production ? 'error' : 'warning',
+            message: keyProblem
+        });
+    }
+
+    await checkStorage(getStorageConfig(env), problems);
+    checkOrigins(security, problems);
+    checkSigningKey(getAccessTokenConfig(env), security, problems);
+
+    return {
+        production: security.production,
+        valid: !problems.some(problem => problem.severity === 'error'),
+        checkedAt: new Date().toISOString(),
+        problems: problems
+    };
+}
+
+// Validate once per process and log what is wrong
+export function getConfigValidation() {
+    if (!validation) {
+        validation = validateConfig().then(report => {
+            for (const problem of report.problems) {
+                const icon = problem.severity === 'error' ? '❌' : '⚠️ ';
+                console.log(`${icon} Config ${problem.setting}: ${problem.message}`);
+            }
+            return report;
+        });
+    }
+    return validation;
+}
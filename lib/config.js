@@ -0,0 +1,153 @@
+// lib/config.js - Server configuration read from environment variables
+import path from 'path';
+
+export function getStorageConfig(env = process.env) {
+    return {
+        // 'json' (default), 'sqlite' or 'memory'
+        backend: (env.STORAGE_BACKEND || 'json').toLowerCase(),
+        sqliteFile: env.SQLITE_FILE || path.join(process.cwd(), 'data', 'mac-whitelist.db'),
+        files: [
+            { name: 'Primary', path: env.DATA_FILE || path.join(process.cwd(), 'data', 'mac-whitelist.json') },
+            { name: 'Backup', path: env.BACKUP_FILE || path.join('/tmp', 'mac-whitelist.json') },
+            { name: 'Fallback', path: env.FALLBACK_FILE || path.join('/tmp', 'mac-backup.json') }
+        ],
+        // Append-only audit log of the JSON backend (default: audit-log.jsonl next to DATA_FILE)
+        auditLogFile: env.AUDIT_LOG_FILE || null
+    };
+}
+
+// Defaults applied to trial devices that do not carry their own limits
+export function getTrialConfig(env = process.env) {
+    const positiveInt = value => {
+        const parsed = parseInt(value, 10);
+        return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+    };
+
+    return {
+        // Days after addedAt that a trial stays valid (null = no expiry)
+        defaultDays: positiveInt(env.TRIAL_DEFAULT_DAYS),
+        // Launches a trial device gets (null = unlimited)
+        defaultMaxLaunches: positiveInt(env.TRIAL_DEFAULT_MAX_LAUNCHES)
+    };
+}
+
+export const DEFAULT_ADMIN_KEY = 'default-admin-key-change-this';
+
+const MIN_ADMIN_KEY_LENGTH = 24;
+const MIN_ADMIN_KEY_UNIQUE_CHARS = 10;
+
+export function isProduction(env = process.env) {
+    return env.NODE_ENV === 'production' || env.VERCEL_ENV === 'production';
+}
+
+export function getSecurityConfig(env = process.env) {
+    const allowedOrigins = (env.ALLOWED_ORIGINS || '*')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+
+    return {
+        production: isProduction(env),
+        adminKey: env.ADMIN_SECRET_KEY || DEFAULT_ADMIN_KEY,
+        // '*' (default) or a list of exact origins such as https://example.com
+        allowedOrigins: allowedOrigins.length > 0 ? allowedOrigins : ['*']
+    };
+}
+
+// Why an admin key is unsafe, or null if it looks strong enough
+export function checkAdminKeyStrength(adminKey) {
+    if (!adminKey || adminKey === DEFAULT_ADMIN_KEY) {
+        return 'ADMIN_SECRET_KEY is not set - the built-in default key is in use';
+    }
+    if (adminKey.length < MIN_ADMIN_KEY_LENGTH) {
+        return `ADMIN_SECRET_KEY is shorter than ${MIN_ADMIN_KEY_LENGTH} characters`;
+    }
+    if (new Set(adminKey).size < MIN_ADMIN_KEY_UNIQUE_CHARS) {
+        return 'ADMIN_SECRET_KEY is too repetitive';
+    }
+    return null;
+}
+
+// Signed tokens returned by check-access
+export function getAccessTokenConfig(env = process.env) {
+    const positiveNumber = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return parsed > 0 ? parsed : fallback;
+    };
+
+    return {
+        // Ed25519 private key (PEM); generated and kept in keyFile when unset
+        // (escaped "\n" sequences are accepted since most env editors are single-line)
+        privateKeyPem: env.ACCESS_TOKEN_PRIVATE_KEY ? env.ACCESS_TOKEN_PRIVATE_KEY.replace(/\\n/g, '\n') : null,
+        keyFile: env.ACCESS_TOKEN_KEY_FILE || path.join(process.cwd(), 'data', 'access-token-key.pem'),
+        ttlMinutes: positiveNumber(env.ACCESS_TOKEN_TTL_MINUTES, 15),
+        // How long a client may keep trusting an expired token while it cannot reach the server
+        offlineGraceHours: positiveNumber(env.OFFLINE_GRACE_HOURS, 24)
+    };
+}
+
+// Device attestation (challenge-response with a per-device key)
+export function getAttestationConfig(env = process.env) {
+    return {
+        // Deny whitelisted devices that have not enrolled a public key yet
+        requireEnrollment: env.REQUIRE_DEVICE_ATTESTATION === 'true',
+        challengeTtlSeconds: parseInt(env.CHALLENGE_TTL_SECONDS, 10) > 0 ? parseInt(env.CHALLENGE_TTL_SECONDS, 10) : 120
+    };
+}
+
+// Request throttling applied by the API handlers
+export function getRateLimitConfig(env = process.env) {
+    const positiveInt = (value, fallback) => {
+        const parsed = parseInt(value, 10);
+        return parsed > 0 ? parsed : fallback;
+    };
+
+    return {
+        enabled: env.RATE_LIMIT_DISABLED !== 'true',
+        // 'memory' (per instance, default) or 'storage' (shared through the storage backend)
+        backend: (env.RATE_LIMIT_BACKEND || 'memory').toLowerCase(),
+        // Bad admin credentials allowed within the window before the IP is locked out
+        maxAuthFailures: positiveInt(env.ADMIN_MAX_FAILURES, 5),
+        authFailureWindowMinutes: positiveInt(env.ADMIN_FAILURE_WINDOW_MINUTES, 15),
+        lockoutMinutes: positiveInt(env.ADMIN_LOCKOUT_MINUTES, 15)
+    };
+}
+
+// Proxies whose X-Forwarded-For entries identify the client (Vercel's edge is one)
+export function getProxyConfig(env = process.env) {
+    const hops = parseInt(env.TRUSTED_PROXY_HOPS, 10);
+    return {
+        trustedHops: hops >= 0 ? hops : (env.VERCEL ? 1 : 0)
+    };
+}
+
+// How much of the audit log is kept
+export function getAuditConfig(env = process.env) {
+    const maxEntries = parseInt(env.AUDIT_LOG_MAX_ENTRIES, 10);
+    const retentionDays = parseInt(env.AUDIT_LOG_RETENTION_DAYS, 10);
+
+    return {
+        maxEntries: maxEntries > 0 ? maxEntries : 10000,
+        retentionDays: retentionDays > 0 ? retentionDays : 90
+    };
+}
+
+// How long revoked whitelist entries can still be reactivated before they are purged
+export function getRevocationConfig(env = process.env) {
+    const retentionDays = parseInt(env.REVOKED_RETENTION_DAYS, 10);
+
+    return {
+        retentionDays: retentionDays > 0 ? retentionDays : 30
+    };
+}
+
+// Queue of access requests from devices that are not whitelisted
+export function getAccessRequestConfig(env = process.env) {
+    const maxPending = parseInt(env.ACCESS_REQUEST_MAX_PENDING, 10);
+
+    return {
+        enabled: env.ACCESS_REQUESTS_DISABLED !== 'true',
+        // New requests are not queued while this many are waiting for an admin
+        maxPending: maxPending > 0 ? maxPending : 500
+    };
+}
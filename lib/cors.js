@@ -0,0 +1,18 @@
+// lib/cors.js - CORS headers restricted to the configured origins
+import { getSecurityConfig } from './config.js';
+
+export function applyCorsHeaders(req, res, allowedOrigins = getSecurityConfig().allowedOrigins) {
+    const origin = req.headers?.origin;
+
+    if (allowedOrigins.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+        if (origin && allowedOrigins.includes(origin)) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        }
+        res.setHeader('Vary', 'Origin');
+    }
+
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
@@ -0,0 +1,78 @@
+// lib/csv.js - Minimal CSV reading and writing (RFC 4180 quoting, header row)
+
+// Parse CSV text into rows of fields. Each row keeps the 1-based line it started on, so
+// errors can point at the right line even when a quoted field spans several.
+export function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, fields: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, fields: row });
+    }
+
+    // Blank lines carry nothing
+    return rows.filter(({ fields }) => fields.length > 1 || fields[0].trim() !== '');
+}
+
+// Parse CSV with a header row into [{ line, record }] keyed by the header names
+export function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.fields.map(name => name.trim());
+    return rows.map(({ line, fields }) => ({
+        line: line,
+        record: Object.fromEntries(columns.map((column, index) => [column, (fields[index] ?? '').trim()]))
+    }));
+}
+
+function escapeField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write records as CSV with the given columns as the header row
+export function toCsv(records, columns) {
+    const lines = [columns.join(',')];
+    for (const record of records) {
+        lines.push(columns.map(column => escapeField(record[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,429 @@
+// lib/device-groups.js - Named device groups whose access policy their members inherit
+//
+// A group may set accessType, trialExpiresAt, trialMaxLaunches and schedule. A whitelist entry
+// with a groupId uses the group's value for every one of those fields it does not set itself.
+import crypto from 'crypto';
+import { requireAdmin } from './admin-auth.js';
+import { ACCESS_TYPES, parseTrialSettings, getEntryStatus } from './access-policy.js';
+import { parseSchedule } from './schedule.js';
+import { parseMacAddress } from './mac-address.js';
+import { computeStatistics } from './statistics.js';
+import { findDeviceEntry } from './device-links.js';
+import { saveEntry } from './change-history.js';
+
+// Access settings a group can hold and its devices inherit
+export const GROUP_POLICY_FIELDS = ['accessType', 'trialExpiresAt', 'trialMaxLaunches', 'schedule'];
+
+// Filter value for list-macs that selects devices outside any group
+export const UNGROUPED = 'none';
+
+const MAX_NAME_LENGTH = 64;
+
+// The entry as the access policy sees it: policy fields the entry leaves unset come from its group
+export function applyGroupPolicy(entry, group) {
+    if (!group) return entry;
+
+    const effective = { ...entry };
+    for (const field of GROUP_POLICY_FIELDS) {
+        if (entry[field] === undefined && group[field] !== undefined) {
+            effective[field] = group[field];
+        }
+    }
+    return effective;
+}
+
+// Take an entry out of its group, copying what it inherited so its effective policy is unchanged
+function detachFromGroup(entry, group) {
+    const effective = applyGroupPolicy(entry, group);
+    for (const field of GROUP_POLICY_FIELDS) {
+        if (effective[field] !== undefined) {
+            entry[field] = effective[field];
+        }
+    }
+    delete entry.groupId;
+    return entry;
+}
+
+// Put an entry in group, or take it out of its group when group is null, inside tx.
+// What the previous group supplied stays with the device unless the new group sets it; the
+// device's own values for fields the new group sets are dropped unless keepOverrides is set.
+export async function moveToGroup(tx, entry, group, { keepOverrides = false } = {}) {
+    if (entry.groupId && (!group || entry.groupId !== group.id)) {
+        // Leaving a group keeps what was inherited from it, as deleting the group does
+        detachFromGroup(entry, await tx.get('deviceGroups', entry.groupId));
+    }
+    if (group) {
+        entry.groupId = group.id;
+        if (!keepOverrides) {
+            for (const field of GROUP_POLICY_FIELDS) {
+                if (group[field] !== undefined) {
+                    delete entry[field];
+                }
+            }
+        }
+    }
+    return entry;
+}
+
+// Look up the group of an entry (inside a transaction or directly on the store) and apply it
+export async function resolveEffectiveEntry(source, entry) {
+    const group = entry.groupId ? await source.get('deviceGroups', entry.groupId) : null;
+    return applyGroupPolicy(entry, group);
+}
+
+// Find a group by id or, failing that, by name (case-insensitive)
+export async function findGroup(source, reference) {
+    if (typeof reference !== 'string' || reference.length === 0) return null;
+
+    const byId = await source.get('deviceGroups', reference);
+    if (byId) return byId;
+
+    const name = reference.trim().toLowerCase();
+    return (await source.list('deviceGroups')).find(group => group.name.toLowerCase() === name) || null;
+}
+
+// New devices added to a group only keep the policy fields the admin actually supplied
+export function dropUnsetPolicy(entry, body) {
+    if (!ACCESS_TYPES.includes(body.accessType)) {
+        delete entry.accessType;
+    }
+    if (body.schedule === undefined) {
+        delete entry.schedule;
+    }
+    return entry;
+}
+
+// Parse the policy fields of a group from a request body.
+// Returns { settings } with only the fields supplied (null clears one), or { error }.
+export function parseGroupPolicy(body) {
+    const settings = {};
+
+    if (body.accessType !== undefined) {
+        if (body.accessType !== null && !ACCESS_TYPES.includes(body.accessType)) {
+            return { error: 'Invalid access type. Must be: trial, unlimited, or admin' };
+        }
+        settings.accessType = body.accessType;
+    }
+
+    const trialSettings = parseTrialSettings(body);
+    if (trialSettings.error) {
+        return { error: trialSettings.error };
+    }
+    Object.assign(settings, trialSettings.settings);
+
+    if (body.schedule !== undefined) {
+        const scheduleSettings = parseSchedule(body.schedule);
+        if (scheduleSettings.error) {
+            return { error: scheduleSettings.error };
+        }
+        settings.schedule = scheduleSettings.schedule;
+    }
+
+    return { settings };
+}
+
+// Policy fields set to null are removed so members fall back to the defaults
+function applyGroupSettings(group, settings) {
+    for (const [field, value] of Object.entries(settings)) {
+        if (value === null) {
+            delete group[field];
+        } else {
+            group[field] = value;
+        }
+    }
+    return group;
+}
+
+function parseGroupName(name) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH) {
+        return null;
+    }
+    const trimmed = name.trim();
+    return trimmed.toLowerCase() === UNGROUPED ? null : trimmed;
+}
+
+async function nameTaken(tx, name, exceptId = null) {
+    const lower = name.toLowerCase();
+    return (await tx.list('deviceGroups')).some(group => group.id !== exceptId && group.name.toLowerCase() === lower);
+}
+
+// Entries filtered by group (id, name or 'none') with statistics per group.
+// Returns { entries, groupStatistics } or { error }.
+export function groupListing(entries, groups, filter) {
+    const groupsById = new Map(groups.map(group => [group.id, group]));
+    let selected = entries;
+
+    if (filter !== undefined && filter !== null && filter !== '') {
+        if (String(filter).toLowerCase() === UNGROUPED) {
+            selected = entries.filter(entry => !entry.groupId || !groupsById.has(entry.groupId));
+        } else {
+            const lower = String(filter).toLowerCase();
+            const group = groupsById.get(filter) || groups.find(candidate => candidate.name.toLowerCase() === lower);
+            if (!group) {
+                return { error: 'Device group not found' };
+            }
+            selected = entries.filter(entry => entry.groupId === group.id);
+        }
+    }
+
+    const groupStatistics = groups
+        .map(group => ({
+            groupId: group.id,
+            name: group.name,
+            statistics: computeStatistics(entries.filter(entry => entry.groupId === group.id))
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    groupStatistics.push({
+        groupId: null,
+        name: UNGROUPED,
+        statistics: computeStatistics(entries.filter(entry => !entry.groupId || !groupsById.has(entry.groupId)))
+    });
+
+    return {
+        entries: selected.map(entry => {
+            const group = groupsById.get(entry.groupId) || null;
+            return {
+                ...entry,
+                groupName: group ? group.name : null,
+                status: getEntryStatus(entry),
+                effectiveAccessType: applyGroupPolicy(entry, group).accessType || 'trial'
+            };
+        }),
+        groupStatistics: groupStatistics
+    };
+}
+
+// Create a group with an optional access policy
+export async function handleCreateGroup(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const name = parseGroupName(req.body.name);
+    if (!name) {
+        return res.status(400).json({
+            success: false,
+            message: `Group name must be 1-${MAX_NAME_LENGTH} characters (and not "${UNGROUPED}")`
+        });
+    }
+
+    const policy = parseGroupPolicy(req.body);
+    if (policy.error) {
+        return res.status(400).json({
+            success: false,
+            message: policy.error
+        });
+    }
+
+    const group = await store.transaction(async (tx) => {
+        if (await nameTaken(tx, name)) {
+            return null;
+        }
+
+        const id = crypto.randomUUID();
+        return tx.put('deviceGroups', id, applyGroupSettings({
+            id: id,
+            name: name,
+            description: req.body.description || null,
+            createdAt: new Date().toISOString(),
+            createdBy: admin.name
+        }, policy.settings));
+    });
+
+    if (!group) {
+        return res.status(409).json({
+            success: false,
+            message: 'A device group with that name already exists'
+        });
+    }
+
+    return res.status(201).json({
+        success: true,
+        message: 'Device group created successfully',
+        data: group
+    });
+}
+
+// List groups with their member counts
+export async function handleListGroups(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'read');
+    if (!admin) return;
+
+    const groups = await store.list('deviceGroups');
+    const entries = await store.list('macAddresses');
+
+    return res.status(200).json({
+        success: true,
+        message: 'Device groups retrieved successfully',
+        data: {
+            groups: groups
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(group => ({
+                    ...group,
+                    deviceCount: entries.filter(entry => entry.groupId === group.id).length
+                }))
+        }
+    });
+}
+
+// Rename a group and/or change its policy (policy fields set to null are cleared)
+export async function handleUpdateGroup(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const { group: reference, name } = req.body;
+
+    const newName = name === undefined ? null : parseGroupName(name);
+    if (name !== undefined && !newName) {
+        return res.status(400).json({
+            success: false,
+            message: `Group name must be 1-${MAX_NAME_LENGTH} characters (and not "${UNGROUPED}")`
+        });
+    }
+
+    const policy = parseGroupPolicy(req.body);
+    if (policy.error) {
+        return res.status(400).json({
+            success: false,
+            message: policy.error
+        });
+    }
+
+    const result = await store.transaction(async (tx) => {
+        const group = await findGroup(tx, reference);
+        if (!group) {
+            return { status: 404, message: 'Device group not found' };
+        }
+
+        if (newName && await nameTaken(tx, newName, group.id)) {
+            return { status: 409, message: 'A device group with that name already exists' };
+        }
+
+        if (newName) {
+            group.name = newName;
+        }
+        if (req.body.description !== undefined) {
+            group.description = req.body.description || null;
+        }
+        applyGroupSettings(group, policy.settings);
+        group.updatedAt = new Date().toISOString();
+        group.updatedBy = admin.name;
+
+        return { group: await tx.put('deviceGroups', group.id, group) };
+    });
+
+    if (!result.group) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'Device group updated successfully',
+        data: result.group
+    });
+}
+
+// Delete a group. Its devices leave the group but keep the settings they inherited from it,
+// so deleting a group never changes who may launch.
+export async function handleDeleteGroup(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const result = await store.transaction(async (tx) => {
+        const group = await findGroup(tx, req.body.group);
+        if (!group) {
+            return null;
+        }
+
+        let detached = 0;
+        for (const entry of await tx.list('macAddresses')) {
+            if (entry.groupId !== group.id) continue;
+
+            detachFromGroup(entry, group);
+            entry.updatedAt = new Date().toISOString();
+            entry.updatedBy = admin.name;
+            await saveEntry(tx, entry, { action: 'delete-group', actor: admin.name });
+            detached++;
+        }
+
+        await tx.delete('deviceGroups', group.id);
+        return { group, detached };
+    });
+
+    if (!result) {
+        return res.status(404).json({
+            success: false,
+            message: 'Device group not found'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: `Device group deleted; ${result.detached} device(s) keep its settings`,
+        data: result
+    });
+}
+
+// Move devices into a group, or out of their group with group: null.
+// Unless keepOverrides is true, devices moving into a group drop their own value for each policy
+// field the group sets so the group's applies; fields the group leaves unset keep the device's value.
+export async function handleMoveDevices(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const { macAddresses, group: reference, keepOverrides } = req.body;
+
+    if (!Array.isArray(macAddresses) || macAddresses.length === 0 || reference === undefined) {
+        return res.status(400).json({
+            success: false,
+            message: 'macAddresses and group (or null to ungroup) are required'
+        });
+    }
+
+    const result = await store.transaction(async (tx) => {
+        const group = reference === null ? null : await findGroup(tx, reference);
+        if (reference !== null && !group) {
+            return null;
+        }
+
+        const results = [];
+        for (const macAddress of macAddresses) {
+            const parsedMac = parseMacAddress(macAddress);
+            const entry = parsedMac.error ? null : await findDeviceEntry(tx, parsedMac.mac);
+            if (!entry) {
+                results.push({ macAddress, success: false, message: parsedMac.error || 'MAC address not found in whitelist' });
+                continue;
+            }
+
+            await moveToGroup(tx, entry, group, { keepOverrides: keepOverrides === true });
+            entry.updatedAt = new Date().toISOString();
+            entry.updatedBy = admin.name;
+            await saveEntry(tx, entry, { action: 'move-devices', actor: admin.name });
+            results.push({ macAddress: entry.macAddress, success: true, message: 'Moved' });
+        }
+
+        return { group, results };
+    });
+
+    if (!result) {
+        return res.status(404).json({
+            success: false,
+            message: 'Device group not found'
+        });
+    }
+
+    const moved = result.results.filter(item => item.success).length;
+    return res.status(200).json({
+        success: true,
+        message: result.group
+            ? `${moved} device(s) moved to group ${result.group.name}`
+            : `${moved} device(s) removed from their group`,
+        data: {
+            results: result.results,
+            groupId: result.group ? result.group.id : null
+        }
+    });
+}
@@ -0,0 +1,344 @@
+// lib/device-links.js - Several MAC addresses belonging to one whitelisted device
+//
+// A whitelist entry is keyed by its primary MAC and lists its other MACs in linkedMacs. Each
+// linked MAC also has a record in macLinks pointing back at the entry, so any of a machine's
+// MACs resolves to the same device. When an authorized device reports MACs nobody knows yet,
+// they are recorded in linkProposals for an admin to link or reject.
+import crypto from 'crypto';
+import { requireAdmin } from './admin-auth.js';
+import { parseMacAddress } from './mac-address.js';
+import { saveEntry, removeEntry } from './change-history.js';
+
+// Proposals recorded per check-access, so one request cannot flood the queue
+const MAX_PROPOSALS_PER_CHECK = 8;
+
+export const PROPOSAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+function proposalIdFor(deviceMac, macAddress) {
+    return crypto.createHash('sha1').update(`${deviceMac}>${macAddress}`).digest('hex').slice(0, 16);
+}
+
+// Entry owning a MAC, whether it is the entry's primary MAC or a linked one
+export async function findDeviceEntry(source, macAddress) {
+    const entry = await source.get('macAddresses', macAddress);
+    if (entry) return entry;
+
+    const link = await source.get('macLinks', macAddress);
+    return link ? source.get('macAddresses', link.deviceMac) : null;
+}
+
+// Every MAC of an entry, primary first
+export function deviceMacs(entry) {
+    return [entry.macAddress, ...(entry.linkedMacs || [])];
+}
+
+// Record unknown MACs reported alongside an authorized device as link proposals, inside tx
+export async function proposeLinks(tx, entry, macs) {
+    const owned = deviceMacs(entry);
+    const now = new Date().toISOString();
+    let proposed = 0;
+
+    for (const macAddress of macs) {
+        if (proposed >= MAX_PROPOSALS_PER_CHECK) break;
+        if (owned.includes(macAddress)) continue;
+
+        // Randomized addresses change over time, so linking them would not help
+        if (parseMacAddress(macAddress).locallyAdministered) continue;
+        if (await findDeviceEntry(tx, macAddress)) continue;
+
+        const id = proposalIdFor(entry.macAddress, macAddress);
+        const existing = await tx.get('linkProposals', id);
+        if (existing && existing.status !== 'pending') continue;
+
+        await tx.put('linkProposals', id, {
+            id: id,
+            deviceMac: entry.macAddress,
+            macAddress: macAddress,
+            status: 'pending',
+            firstSeenAt: existing ? existing.firstSeenAt : now,
+            lastSeenAt: now,
+            seenCount: (existing ? existing.seenCount : 0) + 1
+        });
+        proposed++;
+    }
+}
+
+// Whitelist a machine from every MAC it reported, inside tx. The first usable MAC becomes the
+// entry's primary MAC and the rest are linked to it; fields is the rest of the new entry.
+// Returns { entry } or { status, message } if one of the MACs is already whitelisted.
+export async function addDeviceEntry(tx, macs, fields, change) {
+    for (const mac of macs) {
+        if (await findDeviceEntry(tx, mac)) {
+            return { status: 409, message: `MAC address ${mac} is already whitelisted` };
+        }
+    }
+
+    // Randomized addresses change over time, so they only serve when nothing else was reported
+    const usable = macs.filter(mac => !parseMacAddress(mac).locallyAdministered);
+    const [primary, ...others] = usable.length > 0 ? usable : macs;
+    const now = new Date().toISOString();
+
+    for (const mac of others) {
+        await tx.put('macLinks', mac, {
+            macAddress: mac,
+            deviceMac: primary,
+            linkedAt: now,
+            linkedBy: change.actor,
+            proposalId: null
+        });
+    }
+
+    const entry = { macAddress: primary, ...fields };
+    if (others.length > 0) {
+        entry.linkedMacs = others;
+    }
+    return { entry: await saveEntry(tx, entry, change) };
+}
+
+// Link macAddress to the device entry, inside tx.
+// A MAC with its own whitelist entry is only folded in (merging its usage) when merge is true.
+// Returns { entry } or { status, message }.
+export async function linkMac(tx, entry, macAddress, { merge = false, admin = null, proposalId = null } = {}) {
+    if (deviceMacs(entry).includes(macAddress)) {
+        return { status: 409, message: 'MAC address is already part of this device' };
+    }
+
+    const link = await tx.get('macLinks', macAddress);
+    if (link) {
+        return { status: 409, message: `MAC address is linked to device ${link.deviceMac}; unlink it first` };
+    }
+
+    const now = new Date().toISOString();
+    const linked = [macAddress];
+    const other = await tx.get('macAddresses', macAddress);
+
+    if (other) {
+        if (!merge) {
+            return { status: 409, message: 'MAC address has its own whitelist entry; pass merge: true to fold it into this device' };
+        }
+
+        // The device's usage is the sum of its MACs' usage
+        entry.accessCount = (entry.accessCount || 0) + (other.accessCount || 0);
+        if (other.lastSeen && (!entry.lastSeen || other.lastSeen > entry.lastSeen)) {
+            entry.lastSeen = other.lastSeen;
+            entry.lastDevice = other.lastDevice || entry.lastDevice;
+        }
+        linked.push(...(other.linkedMacs || []));
+        await removeEntry(tx, other.macAddress, { action: 'link-mac', actor: admin });
+    }
+
+    for (const mac of linked) {
+        await tx.put('macLinks', mac, {
+            macAddress: mac,
+            deviceMac: entry.macAddress,
+            linkedAt: now,
+            linkedBy: admin,
+            proposalId: proposalId
+        });
+    }
+
+    entry.linkedMacs = [...(entry.linkedMacs || []), ...linked];
+    entry.updatedAt = now;
+    entry.updatedBy = admin;
+    await saveEntry(tx, entry, { action: 'link-mac', actor: admin });
+
+    // Other devices' proposals for these MACs are moot now
+    for (const proposal of await tx.list('linkProposals')) {
+        if (linked.includes(proposal.macAddress) && proposal.status === 'pending' && proposal.id !== proposalId) {
+            await tx.delete('linkProposals', proposal.id);
+        }
+    }
+
+    return { entry };
+}
+
+// Detach a linked MAC from its device, inside tx; change is { action, actor } for the history.
+// Returns the device entry or null.
+export async function unlinkMac(tx, macAddress, change) {
+    const link = await tx.get('macLinks', macAddress);
+    if (!link) return null;
+
+    await tx.delete('macLinks', macAddress);
+
+    const entry = await tx.get('macAddresses', link.deviceMac);
+    if (!entry) return null;
+
+    entry.linkedMacs = (entry.linkedMacs || []).filter(mac => mac !== macAddress);
+    entry.updatedAt = new Date().toISOString();
+    entry.updatedBy = change.actor;
+    return saveEntry(tx, entry, change);
+}
+
+// remove-mac: a linked MAC is detached from its device, a primary MAC removes the whole device.
+// Returns null if the MAC is unknown, otherwise { unlinked, entry }.
+export async function removeDeviceOrLink(tx, macAddress, change) {
+    if (await tx.get('macLinks', macAddress)) {
+        return { unlinked: true, entry: await unlinkMac(tx, macAddress, change) };
+    }
+
+    const entry = await tx.get('macAddresses', macAddress);
+    if (!entry) return null;
+
+    for (const mac of entry.linkedMacs || []) {
+        await tx.delete('macLinks', mac);
+    }
+    for (const proposal of await tx.list('linkProposals')) {
+        if (proposal.deviceMac === entry.macAddress) {
+            await tx.delete('linkProposals', proposal.id);
+        }
+    }
+    await removeEntry(tx, entry.macAddress, change);
+
+    return { unlinked: false, entry };
+}
+
+// Link proposals, pending ones by default
+export async function handleListLinkProposals(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'read');
+    if (!admin) return;
+
+    const status = req.query.status ?? req.body?.status ?? 'pending';
+    if (status !== 'all' && !PROPOSAL_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid status. Must be: ${PROPOSAL_STATUSES.join(', ')}, or all`
+        });
+    }
+
+    const proposals = (await store.list('linkProposals'))
+        .filter(proposal => status === 'all' || proposal.status === status)
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+    return res.status(200).json({
+        success: true,
+        message: 'Link proposals retrieved successfully',
+        data: { proposals }
+    });
+}
+
+// Link a MAC to a device: { device, macAddress, merge } or { proposalId } to approve a proposal
+export async function handleLinkMac(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const { device, macAddress, proposalId, merge } = req.body;
+
+    if (!proposalId && (!device || !macAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Either proposalId, or device and macAddress, are required'
+        });
+    }
+
+    const parsedDevice = proposalId ? null : parseMacAddress(device);
+    const parsedMac = proposalId ? null : parseMacAddress(macAddress);
+    const invalid = parsedDevice?.error || parsedMac?.error;
+    if (invalid) {
+        return res.status(400).json({
+            success: false,
+            message: invalid
+        });
+    }
+
+    const result = await store.transaction(async (tx) => {
+        let deviceMac = parsedDevice ? parsedDevice.mac : null;
+        let targetMac = parsedMac ? parsedMac.mac : null;
+        let proposal = null;
+
+        if (proposalId) {
+            proposal = await tx.get('linkProposals', proposalId);
+            if (!proposal || proposal.status !== 'pending') {
+                return { status: 404, message: 'Pending link proposal not found' };
+            }
+            deviceMac = proposal.deviceMac;
+            targetMac = proposal.macAddress;
+        }
+
+        const entry = await findDeviceEntry(tx, deviceMac);
+        if (!entry) {
+            return { status: 404, message: 'Device not found in whitelist' };
+        }
+
+        const linked = await linkMac(tx, entry, targetMac, { merge: merge === true, admin: admin.name, proposalId });
+        if (linked.entry && proposal) {
+            proposal.status = 'approved';
+            proposal.decidedAt = new Date().toISOString();
+            proposal.decidedBy = admin.name;
+            await tx.put('linkProposals', proposal.id, proposal);
+        }
+        return linked;
+    });
+
+    if (!result.entry) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'MAC address linked to device',
+        data: result.entry
+    });
+}
+
+// Detach a linked MAC; it loses access until added or linked again
+export async function handleUnlinkMac(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const parsedMac = parseMacAddress(req.body.macAddress);
+    if (parsedMac.error) {
+        return res.status(400).json({
+            success: false,
+            message: parsedMac.error
+        });
+    }
+
+    const entry = await store.transaction(tx => unlinkMac(tx, parsedMac.mac, { action: 'unlink-mac', actor: admin.name }));
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            message: 'MAC address is not linked to a device'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'MAC address unlinked from device',
+        data: entry
+    });
+}
+
+// Reject a proposal; the same MAC is not proposed for that device again
+export async function handleRejectLink(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const proposal = await store.transaction(async (tx) => {
+        const existing = await tx.get('linkProposals', req.body.proposalId);
+        if (!existing || existing.status !== 'pending') {
+            return null;
+        }
+
+        existing.status = 'rejected';
+        existing.decidedAt = new Date().toISOString();
+        existing.decidedBy = admin.name;
+        return tx.put('linkProposals', existing.id, existing);
+    });
+
+    if (!proposal) {
+        return res.status(404).json({
+            success: false,
+            message: 'Pending link proposal not found'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'Link proposal rejected',
+        data: proposal
+    });
+}
@@ -0,0 +1,190 @@
+// lib/device-listing.js - Search, filters, sorting and cursor pagination for list-macs
+//
+// Query parameters (all optional):
+//   search              text matched against MAC, linked MACs, description, group, hostname and username
+//   status              as parseStatusFilter (active and suspended by default, or 'all')
+//   accessType          effective access type, a value, comma-separated list or array
+//   lastSeenFrom/To     last-seen range; devices never seen are left out when either is given
+//   neverUsed           true for devices that never launched, false for those that did
+//   sort, order         one of LIST_SORT_KEYS (addedAt by default) and asc or desc
+//   limit, cursor       page size, and the nextCursor of the previous page
+// Without a limit every match is returned. Cursors mark the last entry of a page rather than an
+// offset, so paging stays stable while devices are added or removed.
+import { ACCESS_TYPES } from './access-policy.js';
+import { parseStatusFilter } from './entry-status.js';
+import { parseTime } from './record-helpers.js';
+
+export const LIST_SORT_KEYS = ['addedAt', 'lastSeen', 'macAddress', 'description', 'accessType', 'status', 'group', 'accessCount'];
+export const LIST_ORDERS = ['asc', 'desc'];
+
+const MAX_LIMIT = 500;
+
+// Sort value of an entry; strings compare case-insensitively, missing values sort first
+function sortValue(entry, key) {
+    switch (key) {
+        case 'accessCount':
+            return entry.accessCount || 0;
+        case 'accessType':
+            return entry.effectiveAccessType || entry.accessType || 'trial';
+        case 'group':
+            return (entry.groupName || '').toLowerCase();
+        case 'description':
+            return (entry.description || '').toLowerCase();
+        default:
+            return entry[key] || '';
+    }
+}
+
+function compareValues(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Order by the sort value, then by MAC so every entry has a fixed place for the cursor
+function comparePositions(a, b, order) {
+    return (order === 'desc' ? -1 : 1) * compareValues(a.value, b.value) || compareValues(a.macAddress, b.macAddress);
+}
+
+function encodeCursor(sort, order, position) {
+    return Buffer.from(JSON.stringify({ sort, order, value: position.value, macAddress: position.macAddress })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'Invalid cursor' };
+    }
+    if (!decoded || typeof decoded.macAddress !== 'string' || !('value' in decoded)) {
+        return { error: 'Invalid cursor' };
+    }
+    if (decoded.sort !== sort || decoded.order !== order) {
+        return { error: 'Cursor belongs to a different sort order; start again without it' };
+    }
+    return { position: { value: decoded.value, macAddress: decoded.macAddress } };
+}
+
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim());
+}
+
+function parseBoolean(value, label) {
+    if (value === undefined || value === null || value === '') return { value: null };
+    if (value === true || value === 'true' || value === '1') return { value: true };
+    if (value === false || value === 'false' || value === '0') return { value: false };
+    return { error: `${label} must be true or false` };
+}
+
+// Parse list-macs query parameters. Returns { options } or { error }.
+export function parseListQuery(query = {}) {
+    const statusFilter = parseStatusFilter(query.status);
+    if (statusFilter.error) {
+        return { error: statusFilter.error };
+    }
+
+    const accessTypes = parseList(query.accessType);
+    if (accessTypes && accessTypes.some(accessType => !ACCESS_TYPES.includes(accessType))) {
+        return { error: `Invalid accessType filter. Use any of: ${ACCESS_TYPES.join(', ')}` };
+    }
+
+    const lastSeenFrom = parseTime(query.lastSeenFrom, 'lastSeenFrom');
+    const lastSeenTo = parseTime(query.lastSeenTo, 'lastSeenTo');
+    const neverUsed = parseBoolean(query.neverUsed, 'neverUsed');
+    const invalid = lastSeenFrom.error || lastSeenTo.error || neverUsed.error;
+    if (invalid) {
+        return { error: invalid };
+    }
+
+    const sort = query.sort || 'addedAt';
+    if (!LIST_SORT_KEYS.includes(sort)) {
+        return { error: `Invalid sort. Use one of: ${LIST_SORT_KEYS.join(', ')}` };
+    }
+    // Dates and counts read best newest or highest first
+    const order = query.order || (['addedAt', 'lastSeen', 'accessCount'].includes(sort) ? 'desc' : 'asc');
+    if (!LIST_ORDERS.includes(order)) {
+        return { error: 'Invalid order. Use asc or desc' };
+    }
+
+    let limit = null;
+    if (query.limit !== undefined && query.limit !== null && query.limit !== '') {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+        }
+    }
+
+    let after = null;
+    if (query.cursor) {
+        const decoded = decodeCursor(query.cursor, sort, order);
+        if (decoded.error) {
+            return { error: decoded.error };
+        }
+        after = decoded.position;
+    }
+
+    return {
+        options: {
+            search: query.search ? String(query.search).trim().toLowerCase() : '',
+            statuses: statusFilter.statuses,
+            accessTypes: accessTypes,
+            lastSeenFrom: lastSeenFrom.time,
+            lastSeenTo: lastSeenTo.time,
+            neverUsed: neverUsed.value,
+            sort: sort,
+            order: order,
+            limit: limit,
+            after: after
+        }
+    };
+}
+
+function matchesSearch(entry, term) {
+    if (!term) return true;
+    return [
+        entry.macAddress,
+        ...(entry.linkedMacs || []),
+        entry.description,
+        entry.groupName,
+        entry.lastDevice?.hostname,
+        entry.lastDevice?.username
+    ].some(field => typeof field === 'string' && field.toLowerCase().includes(term));
+}
+
+function matchesFilters(entry, options) {
+    const used = Boolean(entry.lastSeen) || (entry.accessCount || 0) > 0;
+    if (options.neverUsed !== null && used === options.neverUsed) return false;
+    if (options.accessTypes && !options.accessTypes.includes(sortValue(entry, 'accessType'))) return false;
+    if (options.lastSeenFrom || options.lastSeenTo) {
+        if (!entry.lastSeen) return false;
+        const lastSeen = new Date(entry.lastSeen).toISOString();
+        if (options.lastSeenFrom && lastSeen < options.lastSeenFrom) return false;
+        if (options.lastSeenTo && lastSeen > options.lastSeenTo) return false;
+    }
+    return matchesSearch(entry, options.search);
+}
+
+// One page of entries (already narrowed by status, and carrying groupName and
+// effectiveAccessType where groups apply). Returns { entries, pagination }.
+export function listEntries(entries, options) {
+    const { sort, order, limit, after } = options;
+    const matches = entries
+        .filter(entry => matchesFilters(entry, options))
+        .map(entry => ({ entry, value: sortValue(entry, sort), macAddress: entry.macAddress }))
+        .sort((a, b) => comparePositions(a, b, order));
+
+    const remaining = after ? matches.filter(position => comparePositions(position, after, order) > 0) : matches;
+    const page = limit ? remaining.slice(0, limit) : remaining;
+    const hasMore = page.length < remaining.length;
+
+    return {
+        entries: page.map(position => position.entry),
+        pagination: {
+            total: matches.length,
+            limit: limit,
+            sort: sort,
+            order: order,
+            nextCursor: hasMore ? encodeCursor(sort, order, page[page.length - 1]) : null
+        }
+    };
+}
@@ -0,0 +1,294 @@
+// lib/enrollment-codes.js - Invitation codes that let devices whitelist themselves
+//
+// An admin creates a code with the access settings its devices get; a launcher then calls the
+// public redeem-code action with the code and its MACs. Only a hash of the code is stored:
+//   { id, codeHash, hint, accessType, groupId, trialDays, trialMaxLaunches, description,
+//     maxRedemptions, redemptionCount, redemptions, createdAt, createdBy, expiresAt, revokedAt }
+// The id is derived from the hash, so a submitted code is looked up directly.
+import crypto from 'crypto';
+import { requireAdmin, hashSecret, safeEqual } from './admin-auth.js';
+import { ACCESS_TYPES, parseTrialSettings } from './access-policy.js';
+import { canonicalizeMacList } from './mac-address.js';
+import { getClientIp, describeDevice } from './request-info.js';
+import { addDeviceEntry, deviceMacs } from './device-links.js';
+import { findGroup, dropUnsetPolicy } from './device-groups.js';
+
+// Crockford base32: no I, L, O or U to misread when typing a code
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 12;
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_REDEMPTIONS = 1000;
+const MAX_CODE_MACS = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return chars.match(/.{4}/g).join('-');
+}
+
+// Codes are accepted in any case, with or without dashes, and with the usual misreadings
+function normalizeCode(code) {
+    return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+function codeIdFor(codeHash) {
+    return codeHash.slice(0, 16);
+}
+
+// Code details safe to return (never the hash)
+function describeCode(record) {
+    const { codeHash, ...details } = record;
+    return details;
+}
+
+// Why a code can no longer be redeemed, or null if it can
+function codeRefusal(record, now = Date.now()) {
+    if (record.revokedAt) {
+        return { reason: 'code_revoked', message: 'Enrollment code has been revoked' };
+    }
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= now) {
+        return { reason: 'code_expired', message: 'Enrollment code has expired' };
+    }
+    if (record.redemptionCount >= record.maxRedemptions) {
+        return { reason: 'code_exhausted', message: 'Enrollment code has already been used' };
+    }
+    return null;
+}
+
+// Create a code: { accessType?, group?, trialDays?, trialMaxLaunches?, description?,
+// expiresInDays? (default 7), maxRedemptions? (default 1) }. The code is only returned here.
+export async function handleCreateEnrollmentCode(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const { accessType, description, trialDays, trialMaxLaunches } = req.body;
+    const expiresInDays = req.body.expiresInDays ?? DEFAULT_EXPIRY_DAYS;
+    const maxRedemptions = req.body.maxRedemptions ?? 1;
+
+    if (accessType !== undefined && !ACCESS_TYPES.includes(accessType)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid access type. Must be: ${ACCESS_TYPES.join(', ')}`
+        });
+    }
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays <= 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'expiresInDays must be a positive integer'
+        });
+    }
+
+    if (!Number.isInteger(maxRedemptions) || maxRedemptions <= 0 || maxRedemptions > MAX_REDEMPTIONS) {
+        return res.status(400).json({
+            success: false,
+            message: `maxRedemptions must be an integer from 1 to ${MAX_REDEMPTIONS}`
+        });
+    }
+
+    // Trial days count from each redemption, so only the values are checked here
+    const trialSettings = parseTrialSettings({ trialDays, trialMaxLaunches });
+    if (trialSettings.error) {
+        return res.status(400).json({
+            success: false,
+            message: trialSettings.error
+        });
+    }
+
+    const group = req.body.group === undefined ? null : await findGroup(store, req.body.group);
+    if (req.body.group !== undefined && !group) {
+        return res.status(404).json({
+            success: false,
+            message: 'Device group not found'
+        });
+    }
+
+    const code = generateCode();
+    const codeHash = hashSecret(normalizeCode(code));
+    const now = Date.now();
+
+    const record = await store.transaction(tx => tx.put('enrollmentCodes', codeIdFor(codeHash), {
+        id: codeIdFor(codeHash),
+        codeHash: codeHash,
+        hint: code.slice(-4),
+        accessType: accessType || null,
+        groupId: group ? group.id : null,
+        trialDays: trialDays ?? null,
+        trialMaxLaunches: trialMaxLaunches ?? null,
+        description: description || null,
+        maxRedemptions: maxRedemptions,
+        redemptionCount: 0,
+        redemptions: [],
+        createdAt: new Date(now).toISOString(),
+        createdBy: admin.name,
+        expiresAt: new Date(now + expiresInDays * DAY_MS).toISOString(),
+        revokedAt: null
+    }));
+
+    return res.status(201).json({
+        success: true,
+        message: 'Enrollment code created. Store it now - it cannot be shown again.',
+        data: {
+            ...describeCode(record),
+            code: code
+        }
+    });
+}
+
+// Enrollment codes with their redemptions, newest first. status: 'active' (default) or 'all'.
+export async function handleListEnrollmentCodes(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'read');
+    if (!admin) return;
+
+    const status = req.query.status ?? req.body?.status ?? 'active';
+    if (!['active', 'all'].includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: "Invalid status. Must be 'active' or 'all'"
+        });
+    }
+
+    const codes = (await store.list('enrollmentCodes'))
+        .filter(record => status === 'all' || !codeRefusal(record))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(record => ({
+            ...describeCode(record),
+            redeemable: !codeRefusal(record)
+        }));
+
+    return res.status(200).json({
+        success: true,
+        message: 'Enrollment codes retrieved successfully',
+        data: { codes }
+    });
+}
+
+// Revoke a code: { codeId }. Devices already enrolled with it keep their access.
+export async function handleRevokeEnrollmentCode(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const record = await store.transaction(async (tx) => {
+        const existing = await tx.get('enrollmentCodes', req.body.codeId);
+        if (!existing) {
+            return null;
+        }
+
+        existing.revokedAt = existing.revokedAt || new Date().toISOString();
+        existing.revokedBy = admin.name;
+        return tx.put('enrollmentCodes', existing.id, existing);
+    });
+
+    if (!record) {
+        return res.status(404).json({
+            success: false,
+            message: 'Enrollment code not found'
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: 'Enrollment code revoked successfully',
+        data: describeCode(record)
+    });
+}
+
+// Public: whitelist the calling device with a code: { code, macAddresses, deviceInfo, name? }
+export async function handleRedeemCode(req, res, store) {
+    const { code, macAddresses, deviceInfo } = req.body;
+
+    if (!code || !Array.isArray(macAddresses) || macAddresses.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Enrollment code and MAC addresses are required'
+        });
+    }
+
+    const { macs } = canonicalizeMacList(macAddresses);
+    if (macs.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No valid MAC addresses provided'
+        });
+    }
+
+    const codeHash = hashSecret(normalizeCode(code));
+
+    const result = await store.transaction(async (tx) => {
+        const record = await tx.get('enrollmentCodes', codeIdFor(codeHash));
+        if (!record || !safeEqual(record.codeHash, codeHash)) {
+            return { status: 404, reason: 'code_invalid', message: 'Enrollment code not found' };
+        }
+
+        const refusal = codeRefusal(record);
+        if (refusal) {
+            return { status: 410, ...refusal };
+        }
+
+        // A group deleted since the code was made no longer applies
+        const group = record.groupId ? await tx.get('deviceGroups', record.groupId) : null;
+        const trialSettings = parseTrialSettings({
+            trialDays: record.trialDays ?? undefined,
+            trialMaxLaunches: record.trialMaxLaunches ?? undefined
+        });
+        const now = new Date().toISOString();
+        const device = describeDevice(deviceInfo);
+
+        const fields = {
+            description: (typeof req.body.name === 'string' && req.body.name.trim().slice(0, 100)) ||
+                device?.hostname || `Enrolled with code ...${record.hint}`,
+            accessType: record.accessType || 'trial',
+            addedAt: now,
+            lastSeen: null,
+            accessCount: 0,
+            lastDevice: device,
+            ...trialSettings.settings,
+            schedule: null,
+            addedBy: record.createdBy,
+            enrollmentCodeId: record.id
+        };
+        if (group) {
+            fields.groupId = group.id;
+            dropUnsetPolicy(fields, { accessType: record.accessType || undefined });
+        }
+
+        const added = await addDeviceEntry(tx, macs.slice(0, MAX_CODE_MACS), fields, { action: 'redeem-code', actor: null });
+        if (!added.entry) {
+            return { status: 409, reason: 'already_whitelisted', message: 'Device is already whitelisted' };
+        }
+
+        record.redemptionCount++;
+        record.redemptions.push({
+            macAddress: added.entry.macAddress,
+            redeemedAt: now,
+            ip: getClientIp(req),
+            deviceInfo: device
+        });
+        await tx.put('enrollmentCodes', record.id, record);
+
+        return { entry: added.entry };
+    });
+
+    if (!result.entry) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message,
+            reason: result.reason
+        });
+    }
+
+    console.log(`🎟️ Device ${result.entry.macAddress} enrolled with code ${codeIdFor(codeHash)}`);
+
+    return res.status(201).json({
+        success: true,
+        message: 'Device enrolled successfully',
+        data: {
+            macAddress: result.entry.macAddress,
+            macAddresses: deviceMacs(result.entry),
+            description: result.entry.description,
+            accessType: result.entry.accessType || null,
+            groupId: result.entry.groupId || null
+        }
+    });
+}
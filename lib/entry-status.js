@@ -0,0 +1,170 @@
+// lib/entry-status.js - Suspending, revoking and reactivating whitelist entries
+//
+// status 'suspended' carries suspendedReason, suspendedAt, suspendedBy and an optional resumeAt
+// after which the device is active again. status 'revoked' is a soft delete: the entry keeps its
+// history and statistics and can be reactivated for REVOKED_RETENTION_DAYS, then it is purged.
+import { requireAdmin } from './admin-auth.js';
+import { ENTRY_STATUSES, getEntryStatus } from './access-policy.js';
+import { getRevocationConfig } from './config.js';
+import { parseMacAddress } from './mac-address.js';
+import { findDeviceEntry, removeDeviceOrLink } from './device-links.js';
+import { saveEntry } from './change-history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses list-macs shows when none are requested
+export const DEFAULT_LISTED_STATUSES = ['active', 'suspended'];
+
+const STATUS_FIELDS = ['suspendedReason', 'suspendedAt', 'suspendedBy', 'resumeAt', 'revokedReason', 'revokedAt', 'revokedBy'];
+
+// Parse a list-macs status filter: a status, a comma-separated list, an array, or 'all'.
+// Returns { statuses } or { error }.
+export function parseStatusFilter(value) {
+    if (value === undefined || value === null || value === '') {
+        return { statuses: DEFAULT_LISTED_STATUSES };
+    }
+    if (value === 'all') {
+        return { statuses: ENTRY_STATUSES };
+    }
+
+    const statuses = (Array.isArray(value) ? value : String(value).split(',')).map(status => String(status).trim());
+    if (statuses.length === 0 || statuses.some(status => !ENTRY_STATUSES.includes(status))) {
+        return { error: `Invalid status filter. Use any of: ${ENTRY_STATUSES.join(', ')}, or all` };
+    }
+    return { statuses };
+}
+
+export function revocationExpiresAt(entry, config = getRevocationConfig()) {
+    return new Date(new Date(entry.revokedAt).getTime() + config.retentionDays * DAY_MS).toISOString();
+}
+
+// Remove revoked entries whose retention window has passed, inside tx
+export async function purgeExpiredRevocations(tx, actor = null, now = Date.now()) {
+    let purged = 0;
+    for (const entry of await tx.list('macAddresses')) {
+        if (entry.status === 'revoked' && entry.revokedAt && new Date(revocationExpiresAt(entry)).getTime() <= now) {
+            await removeDeviceOrLink(tx, entry.macAddress, { action: 'purge-revoked', actor: actor });
+            purged++;
+        }
+    }
+    return purged;
+}
+
+function clearStatusFields(entry) {
+    for (const field of STATUS_FIELDS) {
+        delete entry[field];
+    }
+    return entry;
+}
+
+// Shared flow of the status actions: find the entry, let apply() change it, save with history.
+// apply returns an error message to refuse the change.
+async function changeStatus(req, res, store, action, apply) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const parsedMac = parseMacAddress(req.body.macAddress);
+    if (parsedMac.error) {
+        return res.status(400).json({
+            success: false,
+            message: parsedMac.error
+        });
+    }
+
+    const result = await store.transaction(async (tx) => {
+        await purgeExpiredRevocations(tx, admin.name);
+
+        const entry = await findDeviceEntry(tx, parsedMac.mac);
+        if (!entry) {
+            return { status: 404, message: 'MAC address not found in whitelist' };
+        }
+
+        const refusal = apply(entry, admin);
+        if (refusal) {
+            return { status: 409, message: refusal };
+        }
+
+        entry.updatedAt = new Date().toISOString();
+        entry.updatedBy = admin.name;
+        return { entry: await saveEntry(tx, entry, { action, actor: admin.name }) };
+    });
+
+    if (!result.entry) {
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: `Device status is now ${result.entry.status || 'active'}`,
+        data: result.entry
+    });
+}
+
+// Why a suspension's resumeAt is unusable, or null (it may be left out)
+export function checkResumeAt(resumeAt) {
+    if (resumeAt !== undefined && resumeAt !== null &&
+        (isNaN(new Date(resumeAt).getTime()) || new Date(resumeAt).getTime() <= Date.now())) {
+        return 'resumeAt must be a future date';
+    }
+    return null;
+}
+
+// Mark an entry suspended. Returns why it cannot be, or null.
+export function suspendEntry(entry, { reason, resumeAt }, actor) {
+    if (getEntryStatus(entry) === 'revoked') {
+        return 'Device is revoked; reactivate it first';
+    }
+
+    clearStatusFields(entry);
+    entry.status = 'suspended';
+    entry.suspendedReason = reason || null;
+    entry.suspendedAt = new Date().toISOString();
+    entry.suspendedBy = actor;
+    entry.resumeAt = resumeAt ? new Date(resumeAt).toISOString() : null;
+    return null;
+}
+
+// Temporarily cut a device off: { macAddress, reason, resumeAt? }
+export async function handleSuspendMAC(req, res, store) {
+    const invalid = checkResumeAt(req.body.resumeAt);
+    if (invalid) {
+        return res.status(400).json({
+            success: false,
+            message: invalid
+        });
+    }
+
+    return changeStatus(req, res, store, 'suspend-mac', (entry, admin) => suspendEntry(entry, req.body, admin.name));
+}
+
+// Soft-delete a device: { macAddress, reason? }
+export async function handleRevokeMAC(req, res, store) {
+    return changeStatus(req, res, store, 'revoke-mac', (entry, admin) => {
+        if (getEntryStatus(entry) === 'revoked') {
+            return 'Device is already revoked';
+        }
+
+        clearStatusFields(entry);
+        entry.status = 'revoked';
+        entry.revokedReason = req.body.reason || null;
+        entry.revokedAt = new Date().toISOString();
+        entry.revokedBy = admin.name;
+        return null;
+    });
+}
+
+// Lift a suspension or restore a revoked device within its retention window
+export async function handleReactivateMAC(req, res, store) {
+    return changeStatus(req, res, store, 'reactivate-mac', (entry) => {
+        if (getEntryStatus(entry) === 'active') {
+            return 'Device is already active';
+        }
+
+        clearStatusFields(entry);
+        entry.status = 'active';
+        return null;
+    });
+}
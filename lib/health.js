@@ -0,0 +1,71 @@
+// lib/health.js - Health report for the public health action and the landing page
+//
+// status is 'ok' or 'degraded'; problems says why, in words the landing page can show.
+import fs from 'fs';
+import { getConfigValidation } from './config-validation.js';
+import { getRateLimiter } from './rate-limiter.js';
+
+let version = null;
+
+function getVersion() {
+    if (version === null) {
+        try {
+            version = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version || 'unknown';
+        } catch (error) {
+            version = 'unknown';
+        }
+    }
+    return version;
+}
+
+// Reasons the service is not fully healthy, from the configuration report and storage status
+export function findHealthProblems(configuration, storage) {
+    const problems = [];
+
+    if (!configuration.valid) {
+        problems.push('Configuration has errors');
+    }
+    if (storage.loadError) {
+        problems.push(`Storage failed to load: ${storage.loadError}`);
+    } else if (!storage.lastLoaded) {
+        problems.push('Storage has not loaded');
+    }
+    if (storage.corruptSources && storage.corruptSources.length > 0) {
+        problems.push(`Corrupted storage copies: ${storage.corruptSources.join(', ')}`);
+    }
+    if (storage.lastSave && !storage.lastSave.persistent) {
+        problems.push('Last save did not reach persistent storage');
+    }
+
+    // Only an error from the latest save counts; older ones have since been written over
+    const lastError = storage.writes.lastError;
+    if (lastError && storage.lastSave && lastError.timestamp >= storage.lastSave.timestamp) {
+        problems.push(`Last save failed: ${lastError.message}`);
+    }
+
+    return problems;
+}
+
+export async function handleHealthCheck(req, res, store, extra = {}) {
+    const configuration = await getConfigValidation();
+    const storage = store.status();
+    const problems = findHealthProblems(configuration, storage);
+
+    return res.status(200).json({
+        success: true,
+        message: problems.length === 0 ? 'API is healthy' : 'API is running in a degraded state',
+        data: {
+            status: problems.length === 0 ? 'ok' : 'degraded',
+            problems: problems,
+            version: getVersion(),
+            uptimeSeconds: Math.round(process.uptime()),
+            ...extra,
+            totalMACs: (await store.list('macAddresses')).length,
+            lastLoaded: store.lastLoaded,
+            storage: storage,
+            configuration: configuration,
+            rateLimits: await getRateLimiter().status(),
+            timestamp: new Date().toISOString()
+        }
+    });
+}
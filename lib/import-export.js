@@ -0,0 +1,447 @@
+// lib/import-export.js - Whitelist export and import as CSV or JSON
+//
+// Both formats carry one record per device:
+//   { macAddress, linkedMacs, description, accessType, group, status, trialExpiresAt,
+//     trialMaxLaunches, schedule, addedAt, addedBy, lastSeen, accessCount }
+// In CSV, linkedMacs are space-separated and schedule is JSON. Import reads macAddress,
+// description, accessType, group, trialExpiresAt (or trialDays), trialMaxLaunches and schedule,
+// plus linkedMacs and addedAt for devices it adds. Status and usage are exported for reference
+// only; suspend-mac, revoke-mac and reactivate-mac change status.
+//
+// Import modes: 'add' only adds devices not yet whitelisted, 'upsert' also updates the ones that
+// are, and 'replace' additionally removes every device the import does not mention.
+import { requireAdmin } from './admin-auth.js';
+import { ACCESS_TYPES, parseTrialSettings, getEntryStatus } from './access-policy.js';
+import { parseSchedule } from './schedule.js';
+import { parseMacAddress } from './mac-address.js';
+import { parseCsv, toCsv } from './csv.js';
+import { parseStatusFilter } from './entry-status.js';
+import { findGroup, dropUnsetPolicy } from './device-groups.js';
+import { findDeviceEntry, removeDeviceOrLink } from './device-links.js';
+import { saveEntry } from './change-history.js';
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+export const IMPORT_MODES = ['add', 'upsert', 'replace'];
+
+export const EXPORT_COLUMNS = [
+    'macAddress', 'linkedMacs', 'description', 'accessType', 'group', 'status', 'trialExpiresAt',
+    'trialMaxLaunches', 'schedule', 'addedAt', 'addedBy', 'lastSeen', 'accessCount'
+];
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Fields an import may change on a device that is already whitelisted
+const UPDATABLE_FIELDS = ['description', 'accessType', 'groupId', 'trialExpiresAt', 'trialMaxLaunches', 'schedule'];
+
+function exportRecord(entry, groupsById) {
+    const group = groupsById.get(entry.groupId);
+    return {
+        macAddress: entry.macAddress,
+        linkedMacs: entry.linkedMacs || [],
+        description: entry.description,
+        // Policy fields the device inherits from its group stay unset, so they survive a round trip
+        accessType: entry.accessType,
+        group: group ? group.name : null,
+        status: getEntryStatus(entry),
+        trialExpiresAt: entry.trialExpiresAt,
+        trialMaxLaunches: entry.trialMaxLaunches,
+        schedule: entry.schedule,
+        addedAt: entry.addedAt || null,
+        addedBy: entry.addedBy || null,
+        lastSeen: entry.lastSeen || null,
+        accessCount: entry.accessCount || 0
+    };
+}
+
+// Export the devices with one of the given statuses.
+// Returns { format, count, records } and, for CSV, content with the file text.
+export async function exportWhitelist(source, { format = 'json', statuses } = {}) {
+    const groupsById = new Map((await source.list('deviceGroups')).map(group => [group.id, group]));
+    const records = (await source.list('macAddresses'))
+        .filter(entry => !statuses || statuses.includes(getEntryStatus(entry)))
+        .sort((a, b) => a.macAddress.localeCompare(b.macAddress))
+        .map(entry => exportRecord(entry, groupsById));
+
+    if (format === 'csv') {
+        const rows = records.map(record => ({ ...record, linkedMacs: record.linkedMacs.join(' ') }));
+        return { format, count: records.length, records, content: toCsv(rows, EXPORT_COLUMNS) };
+    }
+    return { format, count: records.length, records };
+}
+
+// Rows to import from CSV text, JSON text, an array of records or an export's { macAddresses }.
+// Each row is { line, record }: the CSV line, or the position in the JSON array.
+// Returns { rows } or { error }.
+export function readImportRows(content, format) {
+    const detected = format || (typeof content === 'string' && !/^\s*[[{]/.test(content) ? 'csv' : 'json');
+
+    if (detected === 'csv') {
+        if (typeof content !== 'string') {
+            return { error: 'CSV content must be text' };
+        }
+        const rows = parseCsv(content);
+        if (rows.length > 0 && !('macAddress' in rows[0].record)) {
+            return { error: 'CSV header must include a macAddress column' };
+        }
+        return { rows };
+    }
+
+    if (detected !== 'json') {
+        return { error: `Invalid format. Must be: ${EXPORT_FORMATS.join(' or ')}` };
+    }
+
+    let parsed = content;
+    if (typeof content === 'string') {
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            return { error: `Invalid JSON: ${error.message}` };
+        }
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed?.macAddresses;
+    if (!Array.isArray(records)) {
+        return { error: 'JSON content must be an array of devices or an object with a macAddresses array' };
+    }
+    return {
+        rows: records.map((record, index) => ({
+            line: index + 1,
+            record: record !== null && typeof record === 'object' ? record : {}
+        }))
+    };
+}
+
+// CSV cells are text: blank means not given, and numbers and schedules need parsing
+function readValue(record, field) {
+    const value = record[field];
+    return value === '' ? undefined : value;
+}
+
+function readInteger(record, field) {
+    const value = readValue(record, field);
+    return typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : value;
+}
+
+// Validate one row. Returns { macAddress, linkedMacs, fields, addedAt } or { error }.
+async function readRow(tx, record) {
+    const parsedMac = parseMacAddress(record.macAddress);
+    if (parsedMac.error) {
+        return { error: parsedMac.error };
+    }
+
+    let linkedMacs = readValue(record, 'linkedMacs') ?? [];
+    if (typeof linkedMacs === 'string') {
+        linkedMacs = linkedMacs.split(/[\s;,]+/).filter(Boolean);
+    }
+    if (!Array.isArray(linkedMacs)) {
+        return { error: 'linkedMacs must be a list of MAC addresses' };
+    }
+    const linked = [];
+    for (const mac of linkedMacs) {
+        const parsedLink = parseMacAddress(mac);
+        if (parsedLink.error) {
+            return { error: `linkedMacs: ${parsedLink.error}` };
+        }
+        if (parsedLink.mac !== parsedMac.mac && !linked.includes(parsedLink.mac)) {
+            linked.push(parsedLink.mac);
+        }
+    }
+
+    const fields = {};
+    const description = readValue(record, 'description');
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            return { error: 'description must be text' };
+        }
+        fields.description = description.trim() || 'No description';
+    }
+
+    const accessType = readValue(record, 'accessType');
+    if (accessType !== undefined && accessType !== null) {
+        if (!ACCESS_TYPES.includes(accessType) && accessType !== 'inherit') {
+            return { error: 'Invalid access type. Must be: trial, unlimited, admin, or inherit' };
+        }
+        fields.accessType = accessType;
+    }
+
+    const trialSettings = parseTrialSettings({
+        trialExpiresAt: readValue(record, 'trialExpiresAt'),
+        trialDays: readInteger(record, 'trialDays'),
+        trialMaxLaunches: readInteger(record, 'trialMaxLaunches')
+    });
+    if (trialSettings.error) {
+        return { error: trialSettings.error };
+    }
+    Object.assign(fields, trialSettings.settings);
+
+    let schedule = readValue(record, 'schedule');
+    if (typeof schedule === 'string') {
+        try {
+            schedule = JSON.parse(schedule);
+        } catch (error) {
+            return { error: 'schedule must be JSON' };
+        }
+    }
+    if (schedule !== undefined) {
+        const scheduleSettings = parseSchedule(schedule);
+        if (scheduleSettings.error) {
+            return { error: scheduleSettings.error };
+        }
+        fields.schedule = scheduleSettings.schedule;
+    }
+
+    const groupReference = readValue(record, 'group');
+    const group = groupReference === undefined || groupReference === null ? null : await findGroup(tx, String(groupReference));
+    if (groupReference !== undefined && groupReference !== null && !group) {
+        return { error: `Device group not found: ${groupReference}` };
+    }
+    if (group) {
+        fields.groupId = group.id;
+    }
+
+    const addedAt = readValue(record, 'addedAt');
+    if (addedAt !== undefined && addedAt !== null && isNaN(new Date(addedAt).getTime())) {
+        return { error: 'addedAt must be a valid date' };
+    }
+
+    return {
+        macAddress: parsedMac.mac,
+        linkedMacs: linked,
+        fields: fields,
+        addedAt: addedAt ? new Date(addedAt).toISOString() : null
+    };
+}
+
+// The entry an import row adds, as add-mac would build it
+function newEntry(row, actor) {
+    const { accessType, ...fields } = row.fields;
+    const entry = {
+        macAddress: row.macAddress,
+        description: 'No description',
+        accessType: ACCESS_TYPES.includes(accessType) ? accessType : 'trial',
+        addedAt: row.addedAt || new Date().toISOString(),
+        lastSeen: null,
+        accessCount: 0,
+        lastDevice: null,
+        schedule: null,
+        ...fields,
+        addedBy: actor
+    };
+    // Devices in a group inherit every policy field that was not given explicitly
+    if (entry.groupId) {
+        dropUnsetPolicy(entry, row.fields);
+    }
+    if (row.linkedMacs.length > 0) {
+        entry.linkedMacs = row.linkedMacs;
+    }
+    return entry;
+}
+
+// The existing entry with the row applied, and the names of the fields that changed
+function updatedEntry(entry, row) {
+    const updated = { ...entry };
+    for (const [field, value] of Object.entries(row.fields)) {
+        if (field === 'accessType' && value === 'inherit') {
+            delete updated.accessType;
+        } else {
+            updated[field] = value;
+        }
+    }
+
+    const changed = UPDATABLE_FIELDS.filter(field => JSON.stringify(updated[field]) !== JSON.stringify(entry[field]));
+    return { updated, changed };
+}
+
+// Plan an import inside tx and, unless dryRun is set or a row is invalid, apply it.
+// Returns { mode, dryRun, applied, totalRows, added, updated, unchanged, removed, changes, errors }:
+// changes lists what each row does (or would do) and errors lists invalid rows by line.
+export async function importWhitelist(tx, rows, { mode = 'add', dryRun = false, actor = null } = {}) {
+    const change = { action: 'import', actor: actor };
+    const changes = [];
+    const errors = [];
+    // Every MAC the import claims, mapped to the line claiming it, to catch duplicates
+    const claimed = new Map();
+    // Primary MACs of the existing devices the import mentions
+    const mentioned = new Set();
+    const writes = [];
+
+    for (const { line, record } of rows) {
+        const row = await readRow(tx, record);
+        if (row.error) {
+            errors.push({ line, macAddress: record.macAddress ?? null, message: row.error });
+            continue;
+        }
+
+        const entry = await findDeviceEntry(tx, row.macAddress);
+        const macs = entry ? [entry.macAddress] : [row.macAddress, ...row.linkedMacs];
+        const duplicate = macs.find(mac => claimed.has(mac));
+        if (duplicate) {
+            errors.push({ line, macAddress: row.macAddress, message: `${duplicate} is already on line ${claimed.get(duplicate)}` });
+            continue;
+        }
+
+        if (!entry) {
+            const taken = [];
+            for (const mac of row.linkedMacs) {
+                if (await findDeviceEntry(tx, mac)) taken.push(mac);
+            }
+            if (taken.length > 0) {
+                errors.push({ line, macAddress: row.macAddress, message: `Linked MAC address ${taken[0]} is already whitelisted` });
+                continue;
+            }
+
+            macs.forEach(mac => claimed.set(mac, line));
+            const added = newEntry(row, actor);
+            writes.push(() => addImportedEntry(tx, added, change));
+            changes.push({ line, macAddress: row.macAddress, change: 'add' });
+            continue;
+        }
+
+        claimed.set(entry.macAddress, line);
+        mentioned.add(entry.macAddress);
+
+        const { updated, changed } = updatedEntry(entry, row);
+        if (mode === 'add' || changed.length === 0) {
+            changes.push({ line, macAddress: entry.macAddress, change: 'unchanged' });
+            continue;
+        }
+
+        updated.updatedAt = new Date().toISOString();
+        updated.updatedBy = actor;
+        writes.push(() => saveEntry(tx, updated, change));
+        changes.push({ line, macAddress: entry.macAddress, change: 'update', fields: changed });
+    }
+
+    if (mode === 'replace') {
+        for (const entry of await tx.list('macAddresses')) {
+            if (!mentioned.has(entry.macAddress)) {
+                writes.push(() => removeDeviceOrLink(tx, entry.macAddress, change));
+                changes.push({ line: null, macAddress: entry.macAddress, change: 'remove' });
+            }
+        }
+    }
+
+    // One bad row stops the whole import, so a replace never drops devices it meant to keep
+    const applied = !dryRun && errors.length === 0;
+    if (applied) {
+        for (const write of writes) {
+            await write();
+        }
+    }
+
+    const count = kind => changes.filter(item => item.change === kind).length;
+    return {
+        mode: mode,
+        dryRun: dryRun,
+        applied: applied,
+        totalRows: rows.length,
+        added: count('add'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        removed: count('remove'),
+        changes: changes,
+        errors: errors
+    };
+}
+
+async function addImportedEntry(tx, entry, change) {
+    const now = new Date().toISOString();
+    for (const mac of entry.linkedMacs || []) {
+        await tx.put('macLinks', mac, {
+            macAddress: mac,
+            deviceMac: entry.macAddress,
+            linkedAt: now,
+            linkedBy: change.actor,
+            proposalId: null
+        });
+    }
+    return saveEntry(tx, entry, change);
+}
+
+export function describeImport(report) {
+    const counts = `${report.added} added, ${report.updated} updated, ${report.unchanged} unchanged, ${report.removed} removed`;
+    if (report.errors.length > 0) {
+        return `Import has ${report.errors.length} invalid row(s); nothing was changed`;
+    }
+    return report.dryRun ? `Dry run: ${counts}` : `Import completed: ${counts}`;
+}
+
+// Export the whitelist: { format? ('json' default, or 'csv'), status? (default all) }
+export async function handleExport(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'read');
+    if (!admin) return;
+
+    const format = req.query.format ?? req.body?.format ?? 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid format. Must be: ${EXPORT_FORMATS.join(' or ')}`
+        });
+    }
+
+    const statusFilter = parseStatusFilter(req.query.status ?? req.body?.status ?? 'all');
+    if (statusFilter.error) {
+        return res.status(400).json({
+            success: false,
+            message: statusFilter.error
+        });
+    }
+
+    const exported = await exportWhitelist(store, { format, statuses: statusFilter.statuses });
+
+    return res.status(200).json({
+        success: true,
+        message: `${exported.count} device(s) exported`,
+        data: {
+            format: format,
+            count: exported.count,
+            exportedAt: new Date().toISOString(),
+            ...(format === 'csv' ? { content: exported.content } : { macAddresses: exported.records })
+        }
+    });
+}
+
+// Import devices: { content, format? (detected when omitted), mode? ('add' default, 'upsert'
+// or 'replace'), dryRun? }. content is CSV text, JSON text or an array of device records.
+export async function handleImport(req, res, store) {
+    const admin = await requireAdmin(store, req, res, 'write');
+    if (!admin) return;
+
+    const { content, format } = req.body;
+    const mode = req.body.mode ?? 'add';
+
+    if (content === undefined || content === null || content === '') {
+        return res.status(400).json({
+            success: false,
+            message: 'Import content is required'
+        });
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid import mode. Must be: ${IMPORT_MODES.join(', ')}`
+        });
+    }
+
+    const { rows, error } = readImportRows(content, format);
+    if (error || rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+            success: false,
+            message: error || (rows.length === 0
+                ? 'Import contains no devices'
+                : `Import is limited to ${MAX_IMPORT_ROWS} devices`)
+        });
+    }
+
+    const report = await store.transaction(tx => importWhitelist(tx, rows, {
+        mode: mode,
+        dryRun: req.body.dryRun === true,
+        actor: admin.name
+    }));
+
+    return res.status(report.errors.length > 0 ? 400 : 200).json({
+        success: report.errors.length === 0,
+        message: describeImport(report),
+        data: report
+    });
+}
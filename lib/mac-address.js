@@ -0,0 +1,77 @@
+// lib/mac-address.js - MAC address validation and canonical form
+//
+// Accepted notations (any case, surrounding whitespace ignored):
+//   aa:bb:cc:dd:ee:ff   aa-bb-cc-dd-ee-ff   aabb.ccdd.eeff   aabbccddeeff
+// The canonical form, used as the whitelist key, is lowercase and colon separated.
+
+const NOTATIONS = [
+    /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/i,
+    /^[0-9a-f]{2}(-[0-9a-f]{2}){5}$/i,
+    /^[0-9a-f]{4}(\.[0-9a-f]{4}){2}$/i,
+    /^[0-9a-f]{12}$/i
+];
+
+// Returns { mac, locallyAdministered, warning } or { error }
+export function parseMacAddress(value) {
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim().length === 0)) {
+        return { error: 'MAC address is required' };
+    }
+    if (typeof value !== 'string') {
+        return { error: 'MAC address must be a string' };
+    }
+
+    const trimmed = value.trim();
+    if (!NOTATIONS.some(pattern => pattern.test(trimmed))) {
+        return { error: `Invalid MAC address "${trimmed}" - use aa:bb:cc:dd:ee:ff, aa-bb-cc-dd-ee-ff, aabb.ccdd.eeff or aabbccddeeff` };
+    }
+
+    const hex = trimmed.replace(/[:.-]/g, '').toLowerCase();
+    const mac = hex.match(/.{2}/g).join(':');
+
+    if (hex === '000000000000') {
+        return { error: `Invalid MAC address "${mac}" - the all-zero address is not a device` };
+    }
+    if (hex === 'ffffffffffff') {
+        return { error: `Invalid MAC address "${mac}" - the broadcast address is not a device` };
+    }
+
+    const firstOctet = parseInt(hex.slice(0, 2), 16);
+    // Group bit: multicast addresses never identify a single device
+    if (firstOctet & 0x01) {
+        return { error: `Invalid MAC address "${mac}" - multicast addresses are not device addresses` };
+    }
+
+    // Locally administered bit: usually a randomized (private) address that may change
+    const locallyAdministered = Boolean(firstOctet & 0x02);
+
+    return {
+        mac,
+        locallyAdministered,
+        warning: locallyAdministered
+            ? `${mac} is a locally administered (possibly randomized) address and may change`
+            : null
+    };
+}
+
+// Canonical MAC or null, for lookups where bad input simply does not match
+export function canonicalizeMac(value) {
+    const parsed = parseMacAddress(value);
+    return parsed.error ? null : parsed.mac;
+}
+
+// Canonicalize the MACs a device reports, dropping invalid ones and duplicates
+export function canonicalizeMacList(values) {
+    const macs = [];
+    const invalid = [];
+
+    for (const value of Array.isArray(values) ? values : []) {
+        const mac = canonicalizeMac(value);
+        if (!mac) {
+            invalid.push(value);
+        } else if (!macs.includes(mac)) {
+            macs.push(mac);
+        }
+    }
+
+    return { macs, invalid };
+}
@@ -0,0 +1,246 @@
+// lib/rate-limiter.js - Token bucket rate limiting and admin lockout
+import { getRateLimitConfig } from './config.js';
+import { getClientIp } from './request-info.js';
+import { canonicalizeMacList } from './mac-address.js';
+import { getStore } from './storage/index.js';
+
+// Bucket sizes and refill rates per action. Public actions are listed explicitly;
+// every other action is an admin action and shares the 'admin' limits and the lockout.
+// Local buckets stay in memory even with the storage backend: those actions only cost CPU,
+// and sharing them would mean a storage write on every call.
+export const ACTION_LIMITS = {
+    'check-access': { capacity: 20, perMinute: 10, byMac: true },
+    'challenge': { capacity: 20, perMinute: 10, byMac: false },
+    'health': { capacity: 30, perMinute: 30, byMac: false, local: true },
+    'public-key': { capacity: 30, perMinute: 30, byMac: false, local: true },
+    'verify-token': { capacity: 30, perMinute: 30, byMac: false, local: true },
+    // Low enough that guessing enrollment codes is hopeless
+    'redeem-code': { capacity: 5, perMinute: 2, byMac: false },
+    'admin': { capacity: 30, perMinute: 30, byMac: false }
+};
+
+// Only the first few MACs of a request get their own bucket
+const MAX_MAC_BUCKETS = 5;
+const IDLE_PRUNE_MS = 60 * 60 * 1000;
+const MAX_MEMORY_KEYS = 10000;
+// Idle records in storage are cleared every this many writes
+const STORE_PRUNE_INTERVAL = 100;
+
+export function isPublicAction(action) {
+    return action !== 'admin' && Object.prototype.hasOwnProperty.call(ACTION_LIMITS, action);
+}
+
+class RateLimiter {
+    constructor(config = getRateLimitConfig(), store = null) {
+        this.config = config;
+        this.shared = config.backend === 'storage';
+        // Resolved by ready() when not given, before any limiter state is touched
+        this.store = this.shared ? store : null;
+        this.buckets = new Map();
+        this.failures = new Map();
+        this.rejected = 0;
+        this.writesSincePrune = 0;
+    }
+
+    async ready() {
+        if (this.shared && !this.store) {
+            this.store = await getStore();
+        }
+    }
+
+    // Read-modify-write one record of limiter state, in memory or through the store.
+    // fn returns the next state, or null to leave the record as it is (nothing is written).
+    async update(collection, id, fn, { local = false } = {}) {
+        if (!this.store || local) {
+            const map = collection === 'rateLimits' ? this.buckets : this.failures;
+            const current = map.get(id) || null;
+            const next = fn(current);
+            if (next === null) return current;
+            map.set(id, next);
+            this.prune(map);
+            return next;
+        }
+
+        return this.store.transaction(async (tx) => {
+            const current = await tx.get(collection, id);
+            const next = fn(current);
+            if (next === null) return current;
+
+            await tx.put(collection, id, { ...next, id });
+            if (++this.writesSincePrune >= STORE_PRUNE_INTERVAL) {
+                this.writesSincePrune = 0;
+                await this.pruneStore(tx);
+            }
+            return next;
+        });
+    }
+
+    // An idle bucket has refilled, and an old failure count has expired, so neither needs keeping
+    async pruneStore(tx) {
+        const now = Date.now();
+        const windowMs = this.config.authFailureWindowMinutes * 60000;
+
+        for (const state of await tx.list('rateLimits')) {
+            if (now - state.updatedAt > IDLE_PRUNE_MS) {
+                await tx.delete('rateLimits', state.id);
+            }
+        }
+        for (const state of await tx.list('authFailures')) {
+            if (!(state.lockedUntil > now) && now - state.updatedAt > windowMs) {
+                await tx.delete('authFailures', state.id);
+            }
+        }
+    }
+
+    prune(map) {
+        if (map.size <= MAX_MEMORY_KEYS) return;
+
+        const cutoff = Date.now() - IDLE_PRUNE_MS;
+        for (const [id, state] of map) {
+            if (state.updatedAt < cutoff && !(state.lockedUntil > Date.now())) {
+                map.delete(id);
+            }
+        }
+    }
+
+    // Take one token from a bucket; returns 0 when allowed, else seconds until a token is available
+    async take(id, limit) {
+        const now = Date.now();
+        const ratePerMs = limit.perMinute / 60000;
+        let retryAfterSeconds = 0;
+
+        await this.update('rateLimits', id, (state) => {
+            const elapsed = state ? now - state.updatedAt : 0;
+            const tokens = state ? Math.min(limit.capacity, state.tokens + elapsed * ratePerMs) : limit.capacity;
+
+            if (tokens < 1) {
+                // Nothing taken: the bucket keeps refilling from its last update
+                retryAfterSeconds = Math.max(1, Math.ceil((1 - tokens) / ratePerMs / 1000));
+                return null;
+            }
+            return { tokens: tokens - 1, updatedAt: now };
+        }, { local: limit.local });
+
+        return retryAfterSeconds;
+    }
+
+    // Seconds an IP remains locked out of admin actions (0 if it is not)
+    async lockoutRemaining(ip) {
+        const state = this.store
+            ? await this.store.get('authFailures', `ip:${ip}`)
+            : this.failures.get(`ip:${ip}`);
+
+        if (!state || !state.lockedUntil) return 0;
+        return Math.max(0, Math.ceil((state.lockedUntil - Date.now()) / 1000));
+    }
+
+    // Returns null if the request may proceed, otherwise { retryAfterSeconds, message }
+    async check(req, action) {
+        if (!this.config.enabled) return null;
+        await this.ready();
+
+        const ip = getClientIp(req);
+        const limitName = isPublicAction(action) ? action : 'admin';
+        const limit = ACTION_LIMITS[limitName];
+
+        if (limitName === 'admin') {
+            const locked = await this.lockoutRemaining(ip);
+            if (locked > 0) {
+                this.rejected++;
+                return { retryAfterSeconds: locked, message: 'Too many failed admin authentication attempts. Try again later.' };
+            }
+        }
+
+        const keys = [`${limitName}:ip:${ip}`];
+        if (limit.byMac) {
+            // Canonical form, so rewriting a MAC in another notation does not get a fresh bucket
+            for (const mac of canonicalizeMacList(req.body?.macAddresses).macs.slice(0, MAX_MAC_BUCKETS)) {
+                keys.push(`${limitName}:mac:${mac}`);
+            }
+        }
+
+        let retryAfterSeconds = 0;
+        for (const key of keys) {
+            retryAfterSeconds = Math.max(retryAfterSeconds, await this.take(key, limit));
+        }
+
+        if (retryAfterSeconds > 0) {
+            this.rejected++;
+            return { retryAfterSeconds, message: 'Too many requests. Please slow down.' };
+        }
+
+        return null;
+    }
+
+    async recordAuthFailure(req) {
+        if (!this.config.enabled) return;
+        await this.ready();
+
+        const now = Date.now();
+        const windowMs = this.config.authFailureWindowMinutes * 60000;
+
+        const state = await this.update('authFailures', `ip:${getClientIp(req)}`, (current) => {
+            const fresh = !current || now - current.firstFailureAt > windowMs;
+            const failures = fresh ? 1 : current.failures + 1;
+            const lockedUntil = failures >= this.config.maxAuthFailures
+                ? now + this.config.lockoutMinutes * 60000
+                : (current && current.lockedUntil) || null;
+
+            return {
+                failures: failures >= this.config.maxAuthFailures ? 0 : failures,
+                firstFailureAt: fresh ? now : current.firstFailureAt,
+                lockedUntil: lockedUntil,
+                updatedAt: now
+            };
+        });
+
+        if (state.lockedUntil === now + this.config.lockoutMinutes * 60000) {
+            console.log(`🔒 Locked out ${getClientIp(req)} after ${this.config.maxAuthFailures} failed admin attempts`);
+        }
+    }
+
+    async recordAuthSuccess(req) {
+        if (!this.config.enabled) return;
+        await this.ready();
+
+        const id = `ip:${getClientIp(req)}`;
+        if (this.store) {
+            // Most callers have no failures on record, and a delete would still be a write
+            if (await this.store.get('authFailures', id)) {
+                await this.store.delete('authFailures', id);
+            }
+        } else {
+            this.failures.delete(id);
+        }
+    }
+
+    async status() {
+        await this.ready();
+        const failures = this.store
+            ? await this.store.list('authFailures')
+            : Array.from(this.failures, ([id, state]) => ({ ...state, id }));
+        const now = Date.now();
+
+        return {
+            enabled: this.config.enabled,
+            backend: this.shared ? 'storage' : 'memory',
+            trackedBuckets: this.buckets.size + (this.store ? (await this.store.list('rateLimits')).length : 0),
+            rejectedRequests: this.rejected,
+            // A count only: the health report is public
+            lockedOut: failures.filter(state => state.lockedUntil > now).length,
+            limits: ACTION_LIMITS
+        };
+    }
+}
+
+let sharedLimiter = null;
+
+// Limiter shared by every handler in this process
+export function getRateLimiter() {
+    if (!sharedLimiter) {
+        sharedLimiter = new RateLimiter();
+    }
+    return sharedLimiter;
+}
+
+export default RateLimiter;
@@ -0,0 +1,36 @@
+// lib/record-helpers.js - Ids, date filters and paging shared by the audit log, change history and list-macs
+import crypto from 'crypto';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+let sequence = 0;
+
+// Ids sort in the order records were written, even within one millisecond
+export function sortableId(now = Date.now()) {
+    sequence = (sequence + 1) % 1000000;
+    return `${String(now).padStart(15, '0')}-${String(sequence).padStart(6, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// An optional date filter. Returns { time } (an ISO string, or null when not given) or { error }.
+export function parseTime(value, label) {
+    if (value === undefined || value === null || value === '') return { time: null };
+    const time = new Date(value);
+    return isNaN(time.getTime()) ? { error: `${label} must be a valid date` } : { time: time.toISOString() };
+}
+
+// One page of already sorted records, from the page and pageSize query parameters
+export function paginate(records, query = {}) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+
+    return {
+        records: records.slice((page - 1) * pageSize, page * pageSize),
+        pagination: {
+            page: page,
+            pageSize: pageSize,
+            total: records.length,
+            totalPages: Math.ceil(records.length / pageSize)
+        }
+    };
+}
@@ -0,0 +1,38 @@
+// lib/request-info.js - Details about the caller of an API request
+import { getProxyConfig } from './config.js';
+
+// Client IP. Proxy headers are only believed for the trusted proxies in front of the server:
+// each appends the address it saw to X-Forwarded-For, so the entry that many hops from the
+// right is the client as the outermost trusted proxy saw it. Anything further left, and the
+// headers themselves without a trusted proxy, are whatever the client chose to send.
+export function getClientIp(req, { trustedHops } = getProxyConfig()) {
+    if (trustedHops > 0) {
+        const forwarded = String(req.headers?.['x-forwarded-for'] || '')
+            .split(',')
+            .map(address => address.trim())
+            .filter(Boolean);
+        if (forwarded.length > 0) {
+            return forwarded[Math.max(0, forwarded.length - trustedHops)];
+        }
+        if (req.headers?.['x-real-ip']) {
+            return req.headers['x-real-ip'];
+        }
+    }
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+export function getUserAgent(req) {
+    return req.headers?.['user-agent'] || null;
+}
+
+// The deviceInfo fields a launcher reports, without anything else the client sent
+export function describeDevice(deviceInfo) {
+    if (!deviceInfo || typeof deviceInfo !== 'object') return null;
+    return {
+        hostname: deviceInfo.hostname,
+        username: deviceInfo.username,
+        platform: deviceInfo.platform,
+        localIP: deviceInfo.localIP,
+        publicIP: deviceInfo.publicIP
+    };
+}
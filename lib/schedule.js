@@ -0,0 +1,161 @@
+// lib/schedule.js - Weekly access windows evaluated in a device's IANA timezone
+//
+// A schedule looks like:
+//   {
+//     timezone: 'America/New_York',
+//     windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '13:00', end: '18:00' }]
+//   }
+// A window covers start (inclusive) to end (exclusive) on each listed day; end may be '24:00'.
+
+export const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function parseTime(value) {
+    const match = TIME_PATTERN.exec(value);
+    if (!match) return null;
+
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return minutes <= 24 * 60 ? minutes : null;
+}
+
+// Wall-clock date and time of an instant in the given timezone
+function zonedParts(timestamp, timeZone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(timestamp))) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+function offsetAt(timestamp, timeZone) {
+    const p = zonedParts(timestamp, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day) + p.minutes * MINUTE_MS;
+    return wallClock - Math.floor(timestamp / MINUTE_MS) * MINUTE_MS;
+}
+
+// Instant at which the wall clock in timeZone shows the given local date and minute of day
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+    const firstGuess = wallClock - offsetAt(wallClock, timeZone);
+    // A second pass corrects guesses that land on the other side of a DST change
+    return wallClock - offsetAt(firstGuess, timeZone);
+}
+
+// Validate and normalize a schedule from a request body.
+// Returns { schedule } (null clears the schedule) or { error }.
+export function parseSchedule(schedule) {
+    if (schedule === null) {
+        return { schedule: null };
+    }
+
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return { error: 'schedule must be an object with timezone and windows' };
+    }
+
+    const timezone = schedule.timezone || 'UTC';
+    if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+        return { error: `Unknown schedule timezone: ${timezone}` };
+    }
+
+    if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+        return { error: 'schedule.windows must be a non-empty array' };
+    }
+
+    const windows = [];
+    for (const [index, window] of schedule.windows.entries()) {
+        const days = Array.isArray(window?.days)
+            ? window.days.map(day => String(day).toLowerCase().slice(0, 3))
+            : null;
+
+        if (!days || days.length === 0 || days.some(day => !DAY_NAMES.includes(day))) {
+            return { error: `schedule.windows[${index}].days must list days such as "mon", "tue"` };
+        }
+
+        const start = parseTime(window.start);
+        const end = parseTime(window.end);
+        if (start === null || end === null || start >= end) {
+            return { error: `schedule.windows[${index}] needs start and end as HH:MM with start before end` };
+        }
+
+        windows.push({ days: Array.from(new Set(days)), start: window.start, end: window.end });
+    }
+
+    return { schedule: { timezone, windows } };
+}
+
+export function isWithinSchedule(schedule, now = Date.now()) {
+    if (!schedule) return true;
+
+    const local = zonedParts(now, schedule.timezone);
+    const today = DAY_NAMES[local.weekday];
+
+    return schedule.windows.some(window =>
+        window.days.includes(today) &&
+        local.minutes >= parseTime(window.start) &&
+        local.minutes < parseTime(window.end)
+    );
+}
+
+// ISO timestamp of the next window opening after now, or null if none in the coming week
+export function nextWindowStart(schedule, now = Date.now()) {
+    if (!schedule) return null;
+
+    const local = zonedParts(now, schedule.timezone);
+    let next = null;
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        const dayName = DAY_NAMES[date.getUTCDay()];
+
+        for (const window of schedule.windows) {
+            if (!window.days.includes(dayName)) continue;
+
+            const opensAt = zonedTimeToUtc(
+                date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+                parseTime(window.start), schedule.timezone
+            );
+
+            if (opensAt > now && (next === null || opensAt < next)) {
+                next = opensAt;
+            }
+        }
+    }
+
+    return next === null ? null : new Date(next).toISOString();
+}
@@ -0,0 +1,44 @@
+// lib/statistics.js - Whitelist usage statistics shared by the API handlers and MACDatabase
+import { ENTRY_STATUSES, getEntryStatus } from './access-policy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function computeStatistics(entries, now = Date.now()) {
+    const oneDayAgo = now - DAY_MS;
+    const oneWeekAgo = now - (7 * DAY_MS);
+
+    const statistics = {
+        total: entries.length,
+        // Devices may own several MACs (see lib/device-links.js)
+        totalMacAddresses: 0,
+        activeLast24h: 0,
+        activeLast7d: 0,
+        neverUsed: 0,
+        totalAccesses: 0,
+        // One count per status; anything else (e.g. from a hand-edited file) counts as other
+        ...Object.fromEntries(ENTRY_STATUSES.map(status => [status, 0])),
+        other: 0
+    };
+
+    for (const entry of entries) {
+        const lastSeen = entry.lastSeen ? new Date(entry.lastSeen).getTime() : 0;
+        statistics.totalAccesses += entry.accessCount || 0;
+        statistics.totalMacAddresses += 1 + (entry.linkedMacs ? entry.linkedMacs.length : 0);
+
+        const status = getEntryStatus(entry, now);
+        statistics[ENTRY_STATUSES.includes(status) ? status : 'other']++;
+
+        if (lastSeen === 0) {
+            statistics.neverUsed++;
+        } else {
+            if (lastSeen > oneDayAgo) {
+                statistics.activeLast24h++;
+            }
+            if (lastSeen > oneWeekAgo) {
+                statistics.activeLast7d++;
+            }
+        }
+    }
+
+    return statistics;
+}
@@ -0,0 +1,162 @@
+// lib/storage/atomic-file.js - Crash-safe file writes with locking and checksums
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+// One promise chain per file so writes from this process never overlap
+const writeQueues = new Map();
+
+// Lock files already held by the current async call chain (makes locks re-entrant)
+const heldLocks = new AsyncLocalStorage();
+
+export function checksumPath(filePath) {
+    return `${filePath}.sha256`;
+}
+
+export function computeChecksum(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Lock files live in the temp directory so read-only data locations can still be locked
+function lockPathFor(filePath) {
+    const hash = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex').slice(0, 16);
+    return path.join(os.tmpdir(), `mac-auth-${hash}.lock`);
+}
+
+// Cross-process lock: an exclusively created lock file, removed when done
+async function acquireLock(lockPath, filePath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    while (true) {
+        try {
+            const handle = await fs.open(lockPath, 'wx');
+            await handle.writeFile(`${process.pid}\n${new Date().toISOString()}\n`);
+            await handle.close();
+            return lockPath;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            // Break locks left behind by a crashed process
+            try {
+                const { mtimeMs } = await fs.stat(lockPath);
+                if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+                    await fs.rm(lockPath, { force: true });
+                    continue;
+                }
+            } catch {
+                continue; // Lock vanished between open and stat - retry immediately
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for lock on ${filePath}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+}
+
+export async function withFileLock(filePath, fn) {
+    const lockPath = lockPathFor(filePath);
+    const held = heldLocks.getStore() || new Set();
+
+    if (held.has(lockPath)) {
+        return fn();
+    }
+
+    await acquireLock(lockPath, filePath);
+
+    try {
+        return await heldLocks.run(new Set([...held, lockPath]), fn);
+    } finally {
+        await fs.rm(lockPath, { force: true });
+    }
+}
+
+async function writeAndRename(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+    try {
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+// Replace a file via temp file + rename without a checksum, for files that are also appended to
+export async function replaceFile(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeAndRename(filePath, content);
+}
+
+// Write content via temp file + rename under the file lock, then record its checksum
+export function writeFileAtomic(filePath, content) {
+    const previous = writeQueues.get(filePath) || Promise.resolve();
+
+    const run = previous.then(() => withFileLock(filePath, async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await writeAndRename(filePath, content);
+        await writeAndRename(checksumPath(filePath), `${computeChecksum(content)}\n`);
+    }));
+
+    const settled = run.catch(() => {});
+    writeQueues.set(filePath, settled);
+    settled.then(() => {
+        if (writeQueues.get(filePath) === settled) {
+            writeQueues.delete(filePath);
+        }
+    });
+
+    return run;
+}
+
+async function verifyFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+
+    let expected = null;
+    try {
+        expected = (await fs.readFile(checksumPath(filePath), 'utf8')).trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (expected && expected !== computeChecksum(content)) {
+        const error = new Error(`Checksum mismatch for ${filePath}`);
+        error.code = 'ECHECKSUM';
+        throw error;
+    }
+
+    return { content, verified: expected !== null };
+}
+
+// Read a file under its lock and verify it against the stored checksum.
+// Resolves { content, verified } - verified is false when no checksum exists yet.
+// Rejects with code 'ECHECKSUM' when the content does not match.
+export async function readFileVerified(filePath) {
+    return withFileLock(filePath, () => verifyFile(filePath));
+}
+
+// Move a damaged file aside so it is kept for inspection instead of being overwritten
+export async function quarantineFile(filePath) {
+    const target = `${filePath}.corrupt-${Date.now()}`;
+    await fs.rename(filePath, target);
+    await fs.rm(checksumPath(filePath), { force: true });
+    return target;
+}
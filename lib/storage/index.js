@@ -0,0 +1,33 @@
+// lib/storage/index.js - Storage backend selection
+import { getStorageConfig } from '../config.js';
+import MemoryStore from './memory-store.js';
+import JSONFileStore from './json-file-store.js';
+
+let sharedStore = null;
+
+// The SQLite adapter is imported only when selected, so the JSON and memory backends
+// keep working where the native better-sqlite3 build is missing
+export async function createStore(config = getStorageConfig()) {
+    switch (config.backend) {
+        case 'memory':
+            return new MemoryStore();
+        case 'json':
+            return new JSONFileStore(config.files, config.auditLogFile);
+        case 'sqlite': {
+            const { default: SQLiteStore } = await import('./sqlite-store.js');
+            return new SQLiteStore(config.sqliteFile);
+        }
+        default:
+            throw new Error(`Unknown storage backend: ${config.backend}`);
+    }
+}
+
+// Store shared by every handler in this process (resolves to the same instance every time)
+export function getStore() {
+    if (!sharedStore) {
+        sharedStore = createStore();
+    }
+    return sharedStore;
+}
+
+export { MemoryStore, JSONFileStore };
@@ -0,0 +1,320 @@
+// lib/storage/json-file-store.js - JSON file storage adapter with redundant copies
+//
+// The audit log is kept apart in an append-only file with one JSON event per line, so recording
+// an event appends a line instead of rewriting every copy of the whitelist.
+import fs from 'fs/promises';
+import path from 'path';
+import MemoryStore from './memory-store.js';
+import { DELETED, Transaction, keyFieldFor } from './storage-adapter.js';
+import { computeStatistics } from '../statistics.js';
+import { writeFileAtomic, readFileVerified, quarantineFile, withFileLock, replaceFile } from './atomic-file.js';
+import { CURRENT_FORMAT_VERSION, detectFormat, migrateData, writeMigrationBackup } from './migrations.js';
+
+export const FILE_FORMAT_VERSION = CURRENT_FORMAT_VERSION;
+
+// Top-level keys of the data file that are not record collections
+const RESERVED_KEYS = ['statistics', 'lastUpdated', 'version', 'created', 'revision'];
+
+const AUDIT_COLLECTION = 'auditLog';
+
+class JSONFileStore extends MemoryStore {
+    // sources: [{ name, path }] - the first is the primary copy, the rest are backups.
+    // auditLogPath defaults to audit-log.jsonl next to the primary copy.
+    constructor(sources, auditLogPath = null) {
+        super('json');
+        this.sources = sources;
+        this.auditLogPath = auditLogPath || path.join(path.dirname(sources[0].path), 'audit-log.jsonl');
+        this.auditLog = new Map();
+        // Identity of the audit file as last read or written, to skip rereading it unchanged
+        this.auditLogSignature = null;
+        // Save counter of the state held in memory (null until something is loaded or saved)
+        this.revision = null;
+        // Sources that failed checksum or JSON validation on the last load
+        this.corruptSources = new Set();
+        // Migration backups already reported by this process
+        this.migrationBackups = new Set();
+    }
+
+    collection(name) {
+        return name === AUDIT_COLLECTION ? this.auditLog : super.collection(name);
+    }
+
+    async refresh() {
+        let freshest = null;
+
+        this.corruptSources.clear();
+        await this.refreshAuditLog();
+
+        for (const source of this.sources) {
+            try {
+                const { content } = await readFileVerified(source.path);
+                const parsed = JSON.parse(content);
+
+                if (!parsed.macAddresses || typeof parsed.macAddresses !== 'object') {
+                    console.log(`⚠️  Ignoring ${source.name} (${source.path}): no macAddresses collection`);
+                    continue;
+                }
+
+                // Refuses files from a newer version before anything can overwrite them
+                const format = detectFormat(parsed);
+
+                // Files written before the save counter existed count as revision 0
+                const revision = Number.isInteger(parsed.revision) ? parsed.revision : 0;
+                const updated = parsed.lastUpdated || parsed.statistics?.lastUpdated || '';
+                if (!freshest || revision > freshest.revision ||
+                    (revision === freshest.revision && updated > freshest.updated)) {
+                    freshest = { source, parsed, revision, updated, format };
+                }
+            } catch (error) {
+                if (error.code === 'EFORMATVERSION') {
+                    throw new Error(`Cannot load ${source.name} (${source.path}): ${error.message}`, { cause: error });
+                }
+                if (error.code === 'ECHECKSUM' || error instanceof SyntaxError) {
+                    // Skip the damaged copy rather than trusting it, and keep it out of future writes
+                    this.corruptSources.add(source.name);
+                    console.error(`❌ Skipping corrupted ${source.name} (${source.path}): ${error.message}`);
+                } else if (error.code !== 'ENOENT') {
+                    console.log(`⚠️  Failed to load from ${source.name} (${source.path}): ${error.message}`);
+                }
+            }
+        }
+
+        if (!freshest) {
+            if (this.revision === null && this.corruptSources.size > 0) {
+                console.error('❌ Every readable whitelist copy is corrupted - damaged files will be preserved on next save');
+            } else if (this.revision === null) {
+                console.log('📝 Starting with empty MAC whitelist');
+            }
+            return;
+        }
+
+        // Our in-memory copy is already at least as new as anything on disk
+        if (this.revision !== null && freshest.revision <= this.revision) {
+            return;
+        }
+
+        const parsed = freshest.format === FILE_FORMAT_VERSION
+            ? freshest.parsed
+            : await this.upgrade(freshest.source, freshest.format, freshest.parsed);
+
+        this.collections = this.deserialize(parsed);
+        if (Array.isArray(parsed.auditLog)) {
+            await this.adoptAuditEvents(parsed.auditLog);
+        }
+        this.revision = freshest.revision;
+        this.loadedFrom = freshest.source.name;
+        console.log(`📂 Loaded ${this.collection('macAddresses').size} MAC addresses from ${freshest.source.name}`);
+    }
+
+    async auditLogStat() {
+        try {
+            const { ino, size, mtimeMs } = await fs.stat(this.auditLogPath);
+            return `${ino}:${size}:${mtimeMs}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async refreshAuditLog() {
+        try {
+            const signature = await this.auditLogStat();
+            if (signature === this.auditLogSignature) return;
+
+            const events = new Map();
+            let unreadable = 0;
+            if (signature) {
+                for (const line of (await fs.readFile(this.auditLogPath, 'utf8')).split('\n')) {
+                    if (!line.trim()) continue;
+                    try {
+                        const event = JSON.parse(line);
+                        events.set(event.id, event);
+                    } catch {
+                        unreadable++;
+                    }
+                }
+            }
+            if (unreadable > 0) {
+                console.log(`⚠️  Skipped ${unreadable} unreadable line(s) in ${this.auditLogPath}`);
+            }
+
+            this.auditLog = events;
+            this.auditLogSignature = signature;
+        } catch (error) {
+            console.log(`⚠️  Failed to read audit log ${this.auditLogPath}: ${error.message}`);
+        }
+    }
+
+    // Append new events; deletions (pruning) rewrite the file from what is held in memory
+    async saveAuditLog(writes) {
+        try {
+            const values = Array.from(writes.values());
+            if (values.includes(DELETED)) {
+                const lines = Array.from(this.auditLog.values()).map(event => `${JSON.stringify(event)}\n`);
+                await replaceFile(this.auditLogPath, lines.join(''));
+            } else {
+                await fs.mkdir(path.dirname(this.auditLogPath), { recursive: true });
+                await fs.appendFile(this.auditLogPath, values.map(event => `${JSON.stringify(event)}\n`).join(''));
+            }
+            this.auditLogSignature = await this.auditLogStat();
+            return { name: 'Audit log', success: true };
+        } catch (error) {
+            console.log(`❌ Failed to save the audit log: ${error.message}`);
+            return { name: 'Audit log', success: false, error: error.message };
+        }
+    }
+
+    // Data files from before the audit log had its own file carry the events inline; move them
+    // over. The whitelist copies drop them on their next save.
+    async adoptAuditEvents(events) {
+        const missing = events.filter(event => event && event.id && !this.auditLog.has(event.id));
+        if (missing.length === 0) return;
+
+        const writes = new Map(missing.map(event => [event.id, event]));
+        missing.forEach(event => this.auditLog.set(event.id, event));
+        const result = await this.saveAuditLog(writes);
+        if (result.success) {
+            console.log(`📦 Moved ${missing.length} audit event(s) to ${this.auditLogPath}`);
+        }
+    }
+
+    // Files from older versions are upgraded in memory and written in the current format by the
+    // next save; the data going into each step is backed up next to the file first
+    async upgrade(source, format, parsed) {
+        const { data, steps } = await migrateData(parsed, {
+            backup: async (stepFormat, stepData) => {
+                try {
+                    const backupPath = await writeMigrationBackup(source.path, stepFormat, stepData);
+                    if (!this.migrationBackups.has(backupPath)) {
+                        this.migrationBackups.add(backupPath);
+                        console.log(`🗄️  Backed up ${source.name} as ${backupPath}`);
+                    }
+                } catch (error) {
+                    console.log(`⚠️  Could not back up ${source.name} before migrating: ${error.message}`);
+                }
+            }
+        });
+
+        console.log(`🔧 Upgraded ${source.name} from format ${format} to ${FILE_FORMAT_VERSION} (${steps.length} step(s))`);
+        return data;
+    }
+
+    // Hold the primary file's lock for the whole read-modify-write so another
+    // process cannot save in between our reload and our write
+    async transaction(fn) {
+        return this.enqueue(() => withFileLock(this.sources[0].path, async () => {
+            await this.refresh();
+
+            const tx = new Transaction(this);
+            const result = await fn(tx);
+
+            if (tx.writes.size > 0) {
+                tx.save = await this.commitWrites(tx.writes);
+            }
+
+            return result;
+        }));
+    }
+
+    async commit(writes) {
+        this.applyWrites(writes);
+
+        const auditWrites = writes.get(AUDIT_COLLECTION);
+        const auditResult = auditWrites ? await this.saveAuditLog(auditWrites) : null;
+
+        // A transaction that only recorded audit events leaves the whitelist copies alone
+        if (auditResult && writes.size === 1) {
+            this.lastSave = {
+                timestamp: new Date().toISOString(),
+                persistent: auditResult.success,
+                results: [auditResult]
+            };
+            return auditResult.success;
+        }
+
+        const data = this.serialize();
+        const jsonData = JSON.stringify(data, null, 2);
+        const results = [];
+
+        for (const target of this.sources) {
+            try {
+                if (this.corruptSources.has(target.name)) {
+                    const preserved = await quarantineFile(target.path);
+                    this.corruptSources.delete(target.name);
+                    console.error(`🗄️  Preserved corrupted ${target.name} as ${preserved}`);
+                }
+                
+                await writeFileAtomic(target.path, jsonData);
+                results.push({ name: target.name, success: true });
+            } catch (error) {
+                results.push({ name: target.name, success: false, error: error.message });
+                console.log(`❌ Failed to save to ${target.name}: ${error.message}`);
+            }
+        }
+
+        const successCount = results.filter(r => r.success).length;
+        const persistent = successCount > 0 && (!auditResult || auditResult.success);
+        this.revision = data.revision;
+        this.lastSave = {
+            timestamp: data.lastUpdated,
+            persistent: persistent,
+            results: auditResult ? [...results, auditResult] : results
+        };
+
+        return persistent;
+    }
+
+    status() {
+        return {
+            ...super.status(),
+            corruptSources: Array.from(this.corruptSources)
+        };
+    }
+
+    deserialize(parsed) {
+        const collections = new Map();
+
+        for (const [name, records] of Object.entries(parsed)) {
+            if (RESERVED_KEYS.includes(name) || name === AUDIT_COLLECTION || !records || typeof records !== 'object') {
+                continue;
+            }
+
+            const keyField = keyFieldFor(name);
+            const collection = new Map();
+
+            if (Array.isArray(records)) {
+                records.forEach(record => collection.set(record[keyField], record));
+            } else {
+                // Object keyed by record key (the original MACDatabase layout)
+                for (const [key, record] of Object.entries(records)) {
+                    collection.set(key, { [keyField]: key, ...record });
+                }
+            }
+
+            collections.set(name, collection);
+        }
+
+        return collections;
+    }
+
+    serialize() {
+        const macAddresses = Array.from(this.collection('macAddresses').values());
+        const data = {
+            macAddresses: macAddresses,
+            statistics: computeStatistics(macAddresses)
+        };
+
+        for (const [name, records] of this.collections) {
+            if (name !== 'macAddresses') {
+                data[name] = Array.from(records.values());
+            }
+        }
+
+        data.lastUpdated = new Date().toISOString();
+        data.revision = (this.revision || 0) + 1;
+        data.version = FILE_FORMAT_VERSION;
+        return data;
+    }
+}
+
+export default JSONFileStore;
@@ -0,0 +1,54 @@
+// lib/storage/memory-store.js - In-memory storage adapter (nothing survives a restart)
+import StorageAdapter, { DELETED, cloneRecord } from './storage-adapter.js';
+
+class MemoryStore extends StorageAdapter {
+    constructor(name = 'memory') {
+        super(name);
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    async refresh() {
+        // Nothing to reload - memory is the source of truth
+        this.loadedFrom = 'Memory';
+    }
+
+    async readRecord(collection, key) {
+        return cloneRecord(this.collection(collection).get(key));
+    }
+
+    async readAll(collection) {
+        return Array.from(this.collection(collection).values()).map(cloneRecord);
+    }
+
+    async commit(writes) {
+        this.applyWrites(writes);
+        this.lastSave = {
+            timestamp: new Date().toISOString(),
+            persistent: false,
+            results: []
+        };
+        return false;
+    }
+
+    applyWrites(writes) {
+        for (const [collection, records] of writes) {
+            const target = this.collection(collection);
+            for (const [key, value] of records) {
+                if (value === DELETED) {
+                    target.delete(key);
+                } else {
+                    target.set(key, value);
+                }
+            }
+        }
+    }
+}
+
+export default MemoryStore;
@@ -0,0 +1,167 @@
+// lib/storage/migrations.js - Upgrades whitelist data files written by older versions
+//
+// Formats seen in the wild:
+//   1.0-object - MACDatabase: version '1.0', macAddresses is an object keyed by MAC
+//   1.0        - api/mac-auth.js: version '1.0' (or none), macAddresses is an array
+//   2.0        - api/mac-auth-enhanced.js and the shared storage adapter before MACs were
+//                validated: same layout, MACs may be in any notation
+//   3.0        - current: MACs everywhere are canonical (aa:bb:cc:dd:ee:ff)
+// Each step upgrades one format to the next, so a file of any age is brought up to date in order.
+import fs from 'fs/promises';
+import { computeChecksum } from './atomic-file.js';
+import { canonicalizeMac } from '../mac-address.js';
+import { computeStatistics } from '../statistics.js';
+
+export const CURRENT_FORMAT_VERSION = '3.0';
+
+const MIGRATIONS = [
+    {
+        from: '1.0-object',
+        to: '1.0',
+        description: 'Turn the macAddresses object keyed by MAC into an array of entries',
+        up(data) {
+            const macAddresses = Object.entries(data.macAddresses).map(([macAddress, entry]) => ({ ...entry, macAddress }));
+            return { ...data, macAddresses, statistics: computeStatistics(macAddresses) };
+        }
+    },
+    {
+        from: '1.0',
+        to: '2.0',
+        description: 'Fill in the usage fields every entry carries since 2.0',
+        up(data) {
+            const macAddresses = data.macAddresses.map(entry => ({
+                lastSeen: null,
+                accessCount: 0,
+                lastDevice: null,
+                ...entry
+            }));
+            return { ...data, macAddresses };
+        }
+    },
+    {
+        from: '2.0',
+        to: '3.0',
+        description: 'Store every MAC address in canonical aa:bb:cc:dd:ee:ff notation',
+        up(data) {
+            // Unparseable MACs are kept as they are so remove-mac can still clean them up
+            const canonical = mac => canonicalizeMac(mac) || mac;
+            const macAddresses = [];
+            const seen = new Set();
+
+            for (const entry of data.macAddresses) {
+                const macAddress = canonical(entry.macAddress);
+                if (seen.has(macAddress)) {
+                    console.log(`⚠️  Dropping a second entry for ${macAddress} (stored as ${entry.macAddress}); it is kept in the backup`);
+                    continue;
+                }
+                seen.add(macAddress);
+
+                const upgraded = { ...entry, macAddress };
+                if (Array.isArray(entry.linkedMacs)) {
+                    upgraded.linkedMacs = entry.linkedMacs.map(canonical);
+                }
+                if (entry.lastMatchedMac) {
+                    upgraded.lastMatchedMac = canonical(entry.lastMatchedMac);
+                }
+                macAddresses.push(upgraded);
+            }
+
+            const upgraded = { ...data, macAddresses };
+            if (Array.isArray(data.macLinks)) {
+                upgraded.macLinks = data.macLinks.map(link => ({
+                    ...link,
+                    macAddress: canonical(link.macAddress),
+                    deviceMac: canonical(link.deviceMac)
+                }));
+            }
+            if (Array.isArray(data.linkProposals)) {
+                upgraded.linkProposals = data.linkProposals.map(proposal => ({
+                    ...proposal,
+                    macAddress: canonical(proposal.macAddress),
+                    deviceMac: canonical(proposal.deviceMac)
+                }));
+            }
+            return upgraded;
+        }
+    }
+];
+
+function formatError(message) {
+    const error = new Error(message);
+    error.code = 'EFORMATVERSION';
+    return error;
+}
+
+function versionNumber(version) {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(version));
+    return match ? Number(match[1]) + Number(match[2] || 0) / 1000 : NaN;
+}
+
+// Format of parsed file data. Throws with code 'EFORMATVERSION' for versions this code does not
+// know, refusing newer ones outright so an older deployment never overwrites them.
+export function detectFormat(data) {
+    if (!data || typeof data !== 'object' || !data.macAddresses || typeof data.macAddresses !== 'object') {
+        throw formatError('Not a whitelist data file: no macAddresses collection');
+    }
+
+    const version = data.version === undefined ? '1.0' : String(data.version);
+    if (version === '1.0') {
+        return Array.isArray(data.macAddresses) ? '1.0' : '1.0-object';
+    }
+    if (version === CURRENT_FORMAT_VERSION || MIGRATIONS.some(step => step.from === version)) {
+        return version;
+    }
+
+    if (versionNumber(version) > versionNumber(CURRENT_FORMAT_VERSION)) {
+        throw formatError(`Data format version ${version} is newer than this version supports (${CURRENT_FORMAT_VERSION}) - upgrade the application`);
+    }
+    throw formatError(`Unknown data format version ${version}`);
+}
+
+// The steps that bring a format up to date, in order
+export function planMigration(format) {
+    const steps = [];
+    let current = format;
+
+    while (current !== CURRENT_FORMAT_VERSION) {
+        const step = MIGRATIONS.find(candidate => candidate.from === current);
+        if (!step) {
+            throw formatError(`No migration from data format ${current}`);
+        }
+        steps.push(step);
+        current = step.to;
+    }
+
+    return steps;
+}
+
+// Upgrade parsed file data to the current format. backup(format, data) is awaited before each
+// step with the data as it was going into that step. Returns { data, from, steps }.
+export async function migrateData(data, { backup = null } = {}) {
+    const from = detectFormat(data);
+    let current = structuredClone(data);
+    const applied = [];
+
+    for (const step of planMigration(from)) {
+        if (backup) {
+            await backup(step.from, current);
+        }
+        current = { ...step.up(current), version: step.to };
+        applied.push({ from: step.from, to: step.to, description: step.description });
+    }
+
+    return { data: current, from, steps: applied };
+}
+
+// Keep the data going into a step next to the file as <file>.v<format>-<hash>.bak. The name
+// follows the content, so the same data is only backed up once. Resolves the backup path.
+export async function writeMigrationBackup(filePath, format, data) {
+    const content = JSON.stringify(data, null, 2);
+    const backupPath = `${filePath}.v${format}-${computeChecksum(content).slice(0, 8)}.bak`;
+    try {
+        await fs.writeFile(backupPath, content, { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+    return backupPath;
+}
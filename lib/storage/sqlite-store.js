@@ -0,0 +1,281 @@
+// lib/storage/sqlite-store.js - SQLite storage adapter (single local database file)
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import StorageAdapter, { DELETED, Transaction, keyFieldFor } from './storage-adapter.js';
+import { sortableId } from '../record-helpers.js';
+
+// Collections with their own table; everything else lives in the generic records table.
+// Each record is stored whole in `data`, the other columns exist for indexing and SQL queries.
+const TABLES = {
+    macAddresses: {
+        table: 'devices',
+        key: 'mac_address',
+        columns: {
+            description: entry => entry.description ?? null,
+            access_type: entry => entry.accessType ?? null,
+            added_at: entry => entry.addedAt ?? null,
+            last_seen: entry => entry.lastSeen ?? null,
+            access_count: entry => entry.accessCount || 0
+        }
+    },
+    auditLog: {
+        table: 'audit_log',
+        key: 'id',
+        columns: {
+            timestamp: event => event.timestamp ?? null,
+            action: event => event.action ?? null,
+            mac_address: event => event.macAddress ?? null,
+            outcome: event => event.outcome ?? null,
+            actor: event => event.actor ?? null
+        }
+    }
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS devices (
+        mac_address TEXT PRIMARY KEY,
+        description TEXT,
+        access_type TEXT,
+        added_at TEXT,
+        last_seen TEXT,
+        access_count INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_devices_last_seen ON devices (last_seen);
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT,
+        action TEXT,
+        mac_address TEXT,
+        outcome TEXT,
+        actor TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_mac ON audit_log (mac_address);
+
+    CREATE TABLE IF NOT EXISTS statistics (
+        name TEXT PRIMARY KEY,
+        value INTEGER NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+    );
+`;
+
+// An event from the access_events table of older databases, as the audit log records access checks
+function auditEventFromAccessEvent(event) {
+    const deviceInfo = event.deviceInfo || null;
+    return {
+        id: sortableId(Date.parse(event.timestamp) || 0),
+        timestamp: event.timestamp ?? null,
+        category: 'access',
+        action: 'check-access',
+        outcome: event.success ? 'granted' : 'denied',
+        status: null,
+        reason: null,
+        macAddress: event.macAddress ?? null,
+        actor: null,
+        ip: deviceInfo?.publicIP || null,
+        userAgent: null,
+        message: event.message ?? null,
+        details: deviceInfo ? { deviceInfo } : {}
+    };
+}
+
+class SQLiteStore extends StorageAdapter {
+    constructor(filePath) {
+        super('sqlite');
+        this.filePath = filePath;
+        this.db = null;
+        this.statements = new Map();
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        // Wait for other processes holding the write lock instead of failing immediately
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+        this.migrateAccessEvents();
+
+        return this.db;
+    }
+
+    // Access events used to have a table of their own; they now belong in the audit log
+    migrateAccessEvents() {
+        const moved = this.db.transaction(() => {
+            const legacy = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'access_events'").get();
+            if (!legacy) return null;
+
+            const rows = this.db.prepare('SELECT data FROM access_events').all();
+            for (const row of rows) {
+                const event = auditEventFromAccessEvent(JSON.parse(row.data));
+                this.writeRow('auditLog', event.id, event);
+            }
+            this.db.exec('DROP TABLE access_events');
+            return rows.length;
+        }).immediate();
+
+        if (moved !== null) {
+            console.log(`🔧 Moved ${moved} access event(s) from access_events into the audit log`);
+        }
+    }
+
+    // Prepared statements are cached per SQL string
+    statement(sql) {
+        if (!this.statements.has(sql)) {
+            this.statements.set(sql, this.open().prepare(sql));
+        }
+        return this.statements.get(sql);
+    }
+
+    async refresh() {
+        // The database is always current; opening it is all a load needs
+        this.open();
+        this.loadedFrom = 'SQLite';
+    }
+
+    async readRecord(collection, key) {
+        const definition = TABLES[collection];
+        const row = definition
+            ? this.statement(`SELECT data FROM ${definition.table} WHERE ${definition.key} = ?`).get(key)
+            : this.statement('SELECT data FROM records WHERE collection = ? AND key = ?').get(collection, key);
+
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async readAll(collection) {
+        const definition = TABLES[collection];
+        const rows = definition
+            ? this.statement(`SELECT data FROM ${definition.table}`).all()
+            : this.statement('SELECT data FROM records WHERE collection = ?').all(collection);
+
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    // Hold the database write lock for the whole transaction so other processes
+    // cannot interleave between our reads and our writes
+    async transaction(fn) {
+        return this.enqueue(async () => {
+            const db = this.open();
+            db.exec('BEGIN IMMEDIATE');
+
+            try {
+                const tx = new Transaction(this);
+                const result = await fn(tx);
+
+                if (tx.writes.size > 0) {
+                    // The write only counts once COMMIT has gone through
+                    tx.save = await this.commitWrites(tx.writes, () => db.exec('COMMIT'));
+                } else {
+                    db.exec('COMMIT');
+                }
+                return result;
+            } catch (error) {
+                if (db.inTransaction) {
+                    db.exec('ROLLBACK');
+                }
+                throw error;
+            }
+        });
+    }
+
+    // Called inside transaction() - the surrounding BEGIN/COMMIT makes it atomic
+    async commit(writes) {
+        for (const [collection, records] of writes) {
+            for (const [key, value] of records) {
+                if (value === DELETED) {
+                    this.deleteRow(collection, key);
+                } else {
+                    this.writeRow(collection, key, value);
+                }
+            }
+        }
+
+        if (writes.has('macAddresses')) {
+            this.updateStatistics();
+        }
+
+        this.lastSave = {
+            timestamp: new Date().toISOString(),
+            persistent: true,
+            results: [{ name: 'SQLite', success: true }]
+        };
+
+        return true;
+    }
+
+    writeRow(collection, key, value) {
+        const definition = TABLES[collection];
+        const data = JSON.stringify({ ...value, [keyFieldFor(collection)]: key });
+
+        if (!definition) {
+            this.statement('INSERT OR REPLACE INTO records (collection, key, data) VALUES (?, ?, ?)')
+                .run(collection, key, data);
+            return;
+        }
+
+        const columns = Object.keys(definition.columns);
+        const sql = `INSERT OR REPLACE INTO ${definition.table} (${definition.key}, ${columns.join(', ')}, data) ` +
+            `VALUES (${['?', ...columns.map(() => '?'), '?'].join(', ')})`;
+
+        this.statement(sql).run(key, ...columns.map(column => definition.columns[column](value)), data);
+    }
+
+    deleteRow(collection, key) {
+        const definition = TABLES[collection];
+
+        if (definition) {
+            this.statement(`DELETE FROM ${definition.table} WHERE ${definition.key} = ?`).run(key);
+        } else {
+            this.statement('DELETE FROM records WHERE collection = ? AND key = ?').run(collection, key);
+        }
+    }
+
+    // Keep the statistics table in step with the devices table
+    updateStatistics() {
+        const now = Date.now();
+        const oneDayAgo = new Date(now - (24 * 60 * 60 * 1000)).toISOString();
+        const oneWeekAgo = new Date(now - (7 * 24 * 60 * 60 * 1000)).toISOString();
+
+        const row = this.statement(`
+            SELECT
+                COUNT(*) AS total,
+                COALESCE(SUM(last_seen > ?), 0) AS activeLast24h,
+                COALESCE(SUM(last_seen > ?), 0) AS activeLast7d,
+                COALESCE(SUM(last_seen IS NULL), 0) AS neverUsed,
+                COALESCE(SUM(access_count), 0) AS totalAccesses
+            FROM devices
+        `).get(oneDayAgo, oneWeekAgo);
+
+        const upsert = this.statement(
+            'INSERT INTO statistics (name, value, updated_at) VALUES (?, ?, ?) ' +
+            'ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+        );
+        const updatedAt = new Date(now).toISOString();
+
+        for (const [name, value] of Object.entries(row)) {
+            upsert.run(name, value, updatedAt);
+        }
+    }
+
+    status() {
+        return {
+            ...super.status(),
+            file: this.filePath
+        };
+    }
+}
+
+export default SQLiteStore;
@@ -0,0 +1,230 @@
+// lib/storage/storage-adapter.js - Storage adapter contract shared by every backend
+//
+// Every backend exposes the same async API:
+//   load()                       - (re)load state from the backing storage
+//   get(collection, key)         - fetch one record (a copy) or null
+//   put(collection, key, value)  - create or replace a record
+//   delete(collection, key)      - remove a record, resolves true if it existed
+//   list(collection)             - fetch every record (copies) in a collection
+//   transaction(fn)              - run fn(tx) with the same get/put/delete/list
+//                                  methods and commit all writes at once, or
+//                                  none of them if fn throws
+//
+// Transactions are serialized per store. Never call the store itself from
+// inside a transaction callback - use the tx argument instead.
+
+// Marker for records deleted inside a transaction
+export const DELETED = Symbol('deleted');
+
+// Field that holds the record key when a collection is persisted as an array
+export const KEY_FIELDS = {
+    macAddresses: 'macAddress',
+    adminAccounts: 'name',
+    signingKeys: 'name',
+    macLinks: 'macAddress'
+};
+
+export function keyFieldFor(collection) {
+    return KEY_FIELDS[collection] || 'id';
+}
+
+export function cloneRecord(value) {
+    return value === null || value === undefined ? null : structuredClone(value);
+}
+
+// Pending writes for one transaction, read-through to the committed state
+export class Transaction {
+    constructor(store) {
+        this.store = store;
+        this.writes = new Map();
+        // This transaction's own lastSave once committed, null if it wrote nothing
+        this.save = null;
+    }
+
+    pending(collection) {
+        if (!this.writes.has(collection)) {
+            this.writes.set(collection, new Map());
+        }
+        return this.writes.get(collection);
+    }
+
+    async get(collection, key) {
+        const writes = this.writes.get(collection);
+        if (writes && writes.has(key)) {
+            const value = writes.get(key);
+            return value === DELETED ? null : cloneRecord(value);
+        }
+        return this.store.readRecord(collection, key);
+    }
+
+    async put(collection, key, value) {
+        this.pending(collection).set(key, cloneRecord(value));
+        return value;
+    }
+
+    async delete(collection, key) {
+        const existing = await this.get(collection, key);
+        this.pending(collection).set(key, DELETED);
+        return existing !== null;
+    }
+
+    async list(collection) {
+        const records = new Map();
+        const keyField = keyFieldFor(collection);
+
+        for (const record of await this.store.readAll(collection)) {
+            records.set(record[keyField], record);
+        }
+
+        const writes = this.writes.get(collection);
+        if (writes) {
+            for (const [key, value] of writes) {
+                if (value === DELETED) {
+                    records.delete(key);
+                } else {
+                    records.set(key, cloneRecord(value));
+                }
+            }
+        }
+
+        return Array.from(records.values());
+    }
+}
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+        this.queue = Promise.resolve();
+        this.lastLoaded = null;
+        this.loadedFrom = null;
+        // Why the latest load failed (e.g. a data file from a newer version), null once one succeeds
+        this.loadError = null;
+        this.lastSave = null;
+        // Outcome of every commit since the process started, for the health report
+        this.writeStats = { attempts: 0, failures: 0, lastError: null };
+    }
+
+    // --- Backend hooks -------------------------------------------------
+
+    async refresh() {
+        throw new Error(`${this.name} store does not implement refresh()`);
+    }
+
+    async readRecord(collection, key) {
+        throw new Error(`${this.name} store does not implement readRecord()`);
+    }
+
+    async readAll(collection) {
+        throw new Error(`${this.name} store does not implement readAll()`);
+    }
+
+    async commit(writes) {
+        throw new Error(`${this.name} store does not implement commit()`);
+    }
+
+    // --- Public contract -----------------------------------------------
+
+    async load() {
+        return this.enqueue(async () => {
+            try {
+                await this.refresh();
+            } catch (error) {
+                this.loadError = error.message;
+                throw error;
+            }
+            this.loadError = null;
+            this.lastLoaded = new Date().toISOString();
+        });
+    }
+
+    async get(collection, key) {
+        return this.readRecord(collection, key);
+    }
+
+    async put(collection, key, value) {
+        return this.transaction(tx => tx.put(collection, key, value));
+    }
+
+    async delete(collection, key) {
+        return this.transaction(tx => tx.delete(collection, key));
+    }
+
+    async list(collection) {
+        return this.readAll(collection);
+    }
+
+    async transaction(fn) {
+        return this.enqueue(async () => {
+            const tx = new Transaction(this);
+            const result = await fn(tx);
+
+            if (tx.writes.size > 0) {
+                tx.save = await this.commitWrites(tx.writes);
+            }
+
+            return result;
+        });
+    }
+
+    // commit() plus whatever must follow it (finish), with the outcome counted in writeStats.
+    // A save that reached only some of its targets succeeds but still reports the failed ones.
+    // Resolves to the lastSave of this commit.
+    async commitWrites(writes, finish = async () => {}) {
+        try {
+            await this.commit(writes);
+            await finish();
+        } catch (error) {
+            this.recordWriteError(error.message);
+            this.writeStats.attempts++;
+            this.writeStats.failures++;
+            this.lastSave = {
+                timestamp: new Date().toISOString(),
+                persistent: false,
+                results: [{ name: this.name, success: false, error: error.message }]
+            };
+            throw error;
+        }
+
+        const results = this.lastSave?.results || [];
+        const failed = results.filter(result => !result.success);
+        this.writeStats.attempts++;
+        if (failed.length > 0) {
+            this.recordWriteError(failed.map(result => `${result.name}: ${result.error}`).join('; '));
+            if (failed.length === results.length) {
+                this.writeStats.failures++;
+            }
+        }
+        return this.lastSave;
+    }
+
+    recordWriteError(message) {
+        this.writeStats.lastError = { message: message, timestamp: new Date().toISOString() };
+    }
+
+    status() {
+        const { attempts, failures, lastError } = this.writeStats;
+        return {
+            backend: this.name,
+            lastLoaded: this.lastLoaded,
+            loadedFrom: this.loadedFrom,
+            loadError: this.loadError,
+            lastSave: this.lastSave,
+            writes: {
+                attempts: attempts,
+                failures: failures,
+                // null until something has been written
+                successRate: attempts > 0 ? (attempts - failures) / attempts : null,
+                lastError: lastError
+            }
+        };
+    }
+
+    // Run tasks one at a time so transactions never interleave
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+export default StorageAdapter;
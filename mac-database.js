@@ -1,174 +1,154 @@
-// mac-database.js - Minimal Server Database (No Desktop Dependencies)
-import fs from 'fs/promises';
+// mac-database.js - Minimal Server Database (No Desktop Dependencies), backed by the shared storage adapter
 import path from 'path';
 import crypto from 'crypto';
+import { getStore, JSONFileStore } from './lib/storage/index.js';
+import { computeStatistics } from './lib/statistics.js';
+import { ACCESS_TYPES, parseTrialSettings, checkAccessPolicy, checkEntryStatus, describeTrial, getEntryStatus } from './lib/access-policy.js';
+import { parseSchedule } from './lib/schedule.js';
+import { parseMacAddress, canonicalizeMac, canonicalizeMacList } from './lib/mac-address.js';
+import { resolveEffectiveEntry, groupListing } from './lib/device-groups.js';
+import { findDeviceEntry, proposeLinks, removeDeviceOrLink } from './lib/device-links.js';
+import { appendAuditEvent, writeAuditEvent } from './lib/audit-log.js';
+import { saveEntry } from './lib/change-history.js';
+import { issueAccessToken } from './lib/access-tokens.js';
+import { findHealthProblems } from './lib/health.js';
+import { runBulkOperations, describeBulkOutcome } from './lib/bulk-operations.js';
+import { parseListQuery, listEntries } from './lib/device-listing.js';
+import { verifyDeviceAttestation, approvePendingKey, createChallenge, describeChallenge } from './lib/attestation.js';
 
 class MACDatabase {
-    constructor(dbPath = null) {
-        // For Vercel, use /tmp directory
-        this.dbPath = dbPath || '/tmp/sat-database';
-        this.macFile = path.join(this.dbPath, 'mac-whitelist.json');
-        this.logFile = path.join(this.dbPath, 'access-log.json');
+    // Pass a directory to keep a private JSON store there, or a store instance to share one;
+    // by default the store configured for the API handlers is used (set once ready resolves)
+    constructor(dbPath = null, store = null) {
+        this.dbPath = dbPath;
+        this.store = store || (dbPath
+            ? new JSONFileStore([{ name: 'Primary', path: path.join(dbPath, 'mac-whitelist.json') }])
+            : null);
         
-        this.initializeDatabase();
+        // Why the store could not be set up; ready always resolves and refresh() raises this
+        this.initError = null;
+        this.ready = this.initializeDatabase();
     }
     
     async initializeDatabase() {
         try {
-            // Create directories if they don't exist
-            await fs.mkdir(this.dbPath, { recursive: true });
-            
-            // Initialize MAC whitelist file if it doesn't exist
-            try {
-                await fs.access(this.macFile);
-            } catch {
-                const initialData = {
-                    version: '1.0',
-                    created: new Date().toISOString(),
-                    macAddresses: {},
-                    statistics: {
-                        totalDevices: 0,
-                        totalAccesses: 0,
-                        lastUpdated: new Date().toISOString()
-                    }
-                };
-                await fs.writeFile(this.macFile, JSON.stringify(initialData, null, 2));
-            }
-            
-            // Initialize access log if it doesn't exist
-            try {
-                await fs.access(this.logFile);
-            } catch {
-                const initialLog = {
-                    version: '1.0',
-                    created: new Date().toISOString(),
-                    accessEvents: []
-                };
-                await fs.writeFile(this.logFile, JSON.stringify(initialLog, null, 2));
-            }
-            
+            this.store = this.store || await getStore();
+            await this.store.load();
         } catch (error) {
             console.error('Error initializing MAC database:', error);
-            throw error;
+            this.initError = error;
         }
     }
     
-    async readDatabase() {
-        try {
-            const data = await fs.readFile(this.macFile, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading MAC database:', error);
-            return {
-                version: '1.0',
-                created: new Date().toISOString(),
-                macAddresses: {},
-                statistics: {
-                    totalDevices: 0,
-                    totalAccesses: 0,
-                    lastUpdated: new Date().toISOString()
-                }
-            };
+    // Pick up changes written by other handlers before each operation. Fails while the data
+    // cannot be loaded, e.g. a file from a newer version.
+    async refresh() {
+        await this.ready;
+        if (!this.store) {
+            throw this.initError;
         }
+        await this.store.load();
     }
     
-    async writeDatabase(data) {
-        try {
-            data.statistics.lastUpdated = new Date().toISOString();
-            data.statistics.totalDevices = Object.keys(data.macAddresses).length;
-            
-            await fs.writeFile(this.macFile, JSON.stringify(data, null, 2));
-            return true;
-        } catch (error) {
-            console.error('Error writing MAC database:', error);
-            return false;
-        }
-    }
-    
-    async logAccess(macAddress, deviceInfo, success = true, message = '') {
-        try {
-            let logData;
-            try {
-                const logContent = await fs.readFile(this.logFile, 'utf8');
-                logData = JSON.parse(logContent);
-            } catch {
-                logData = { version: '1.0', created: new Date().toISOString(), accessEvents: [] };
-            }
-            
-            const logEntry = {
-                timestamp: new Date().toISOString(),
-                macAddress: macAddress,
+    // Recorded in the same audit log the API handlers write
+    accessEvent(macAddress, deviceInfo = {}, success, message) {
+        return {
+            action: 'check-access',
+            outcome: success ? 'granted' : 'denied',
+            macAddress: macAddress,
+            ip: deviceInfo.publicIP || null,
+            message: message,
+            details: {
                 deviceInfo: {
                     hostname: deviceInfo.hostname,
                     username: deviceInfo.username,
                     platform: deviceInfo.platform,
                     localIP: deviceInfo.localIP,
                     publicIP: deviceInfo.publicIP
-                },
-                success: success,
-                message: message,
-                id: crypto.randomUUID()
-            };
-            
-            logData.accessEvents.push(logEntry);
-            
-            // Keep only last 500 log entries for Vercel
-            if (logData.accessEvents.length > 500) {
-                logData.accessEvents = logData.accessEvents.slice(-500);
+                }
             }
-            
-            await fs.writeFile(this.logFile, JSON.stringify(logData, null, 2));
-            
+        };
+    }
+    
+    // Never throws: a failure to log must not change the answer given to the device
+    async logAccess(macAddress, deviceInfo, success = true, message = '') {
+        try {
+            await this.ready;
+            await appendAuditEvent(this.store, this.accessEvent(macAddress, deviceInfo, success, message));
         } catch (error) {
             console.error('Error logging access:', error);
         }
     }
     
-    async checkAccess(macAddresses, deviceInfo) {
+    // False only when a file-backed store could not write any of its copies
+    savedToStore() {
+        const lastSave = this.store.lastSave;
+        return !lastSave || lastSave.persistent || lastSave.results.length === 0;
+    }
+    
+    // Nonce for an enrolled device to sign before calling checkAccess
+    async issueChallenge(macAddresses) {
+        const challenge = createChallenge(macAddresses);
+        await this.refresh();
+        await this.store.put('challenges', challenge.id, challenge);
+        return describeChallenge(challenge);
+    }
+    
+    // attestation may carry publicKey (enrollment) or challengeId and signature
+    async checkAccess(macAddresses, deviceInfo = {}, attestation = {}) {
         try {
-            const data = await this.readDatabase();
+            await this.refresh();
             
-            for (const macAddress of macAddresses) {
-                const normalizedMac = macAddress.toLowerCase();
-                
-                if (data.macAddresses[normalizedMac]) {
-                    const entry = data.macAddresses[normalizedMac];
-                    
-                    entry.lastSeen = new Date().toISOString();
-                    entry.accessCount = (entry.accessCount || 0) + 1;
-                    entry.lastDevice = {
-                        hostname: deviceInfo.hostname,
-                        username: deviceInfo.username,
-                        platform: deviceInfo.platform,
-                        localIP: deviceInfo.localIP,
-                        publicIP: deviceInfo.publicIP
-                    };
-                    
-                    data.statistics.totalAccesses = (data.statistics.totalAccesses || 0) + 1;
-                    
-                    await this.writeDatabase(data);
-                    await this.logAccess(normalizedMac, deviceInfo, true, 'Access granted');
-                    
-                    return {
-                        success: true,
-                        message: 'Device authorized',
-                        data: {
-                            macAddress: normalizedMac,
-                            description: entry.description,
-                            accessType: entry.accessType || 'trial',
-                            addedAt: entry.addedAt,
-                            lastSeen: entry.lastSeen,
-                            accessCount: entry.accessCount
-                        }
-                    };
+            // Invalid MACs are ignored, as the API handlers do
+            const { macs } = canonicalizeMacList(macAddresses);
+            
+            const { entry, denial } = await this.store.transaction(async (tx) => {
+                // The audit event is saved with the access it records
+                const decision = await this.decideAccess(tx, macs, deviceInfo, attestation);
+                if (decision.entry) {
+                    const message = decision.denial ? decision.denial.message : 'Access granted';
+                    await writeAuditEvent(tx, this.accessEvent(decision.entry.macAddress, deviceInfo, !decision.denial, message));
                 }
+                return decision;
+            });
+            
+            if (denial) {
+                return {
+                    success: false,
+                    message: denial.message,
+                    reason: denial.reason,
+                    data: {
+                        macAddress: entry.macAddress,
+                        accessType: entry.accessType || 'trial',
+                        ...denial.details
+                    }
+                };
             }
             
-            await this.logAccess(macAddresses[0] || 'unknown', deviceInfo, false, 'MAC address not whitelisted');
+            if (entry) {
+                return {
+                    success: true,
+                    message: 'Device authorized',
+                    data: {
+                        macAddress: entry.macAddress,
+                        description: entry.description,
+                        accessType: entry.accessType || 'trial',
+                        addedAt: entry.addedAt,
+                        lastSeen: entry.lastSeen,
+                        accessCount: entry.accessCount,
+                        trial: describeTrial(entry),
+                        enrolled: Boolean(entry.publicKey),
+                        accessToken: await issueAccessToken(this.store, entry)
+                    }
+                };
+            }
+            
+            await this.logAccess(macs[0] || 'unknown', deviceInfo, false, 'MAC address not whitelisted');
             
             return {
                 success: false,
                 message: 'Device not authorized. MAC address not in whitelist.',
+                reason: 'not_whitelisted',
                 data: null
             };
             
@@ -184,35 +164,117 @@ class MACDatabase {
         }
     }
     
-    async addMACAddress(macAddress, description, accessType = 'trial') {
+    // Find the whitelist entry behind the MACs and record the access inside tx
+    async decideAccess(tx, macs, deviceInfo, attestation) {
+        for (const macAddress of macs) {
+            const found = await findDeviceEntry(tx, macAddress);
+            if (!found) continue;
+            
+            const effective = await resolveEffectiveEntry(tx, found);
+            
+            const statusDenial = checkEntryStatus(effective);
+            if (statusDenial) {
+                return { entry: effective, denial: statusDenial };
+            }
+            
+            const attested = await verifyDeviceAttestation(tx, found, attestation);
+            if (attested.denial) {
+                return { entry: effective, denial: attested.denial };
+            }
+            
+            const denial = checkAccessPolicy(effective);
+            if (denial) {
+                return { entry: effective, denial };
+            }
+            
+            found.lastSeen = new Date().toISOString();
+            found.accessCount = (found.accessCount || 0) + 1;
+            found.lastDevice = {
+                hostname: deviceInfo.hostname,
+                username: deviceInfo.username,
+                platform: deviceInfo.platform,
+                localIP: deviceInfo.localIP,
+                publicIP: deviceInfo.publicIP
+            };
+            
+            found.lastMatchedMac = macAddress;
+            
+            await tx.put('macAddresses', found.macAddress, found);
+            await proposeLinks(tx, found, macs);
+            return { entry: await resolveEffectiveEntry(tx, found), denial: null };
+        }
+        return { entry: null, denial: null };
+    }
+    
+    // options may carry trialExpiresAt, trialDays, trialMaxLaunches and schedule
+    async addMACAddress(macAddress, description, accessType = 'trial', options = {}) {
         try {
-            const normalizedMac = macAddress.toLowerCase();
-            const data = await this.readDatabase();
+            const parsedMac = parseMacAddress(macAddress);
+            if (parsedMac.error) {
+                return {
+                    success: false,
+                    message: parsedMac.error
+                };
+            }
             
-            if (data.macAddresses[normalizedMac]) {
+            const normalizedMac = parsedMac.mac;
+            // Any other type would get no trial limits at all
+            if (!ACCESS_TYPES.includes(accessType)) {
                 return {
                     success: false,
-                    message: 'MAC address already exists in whitelist'
+                    message: 'Invalid access type. Must be: trial, unlimited, or admin'
                 };
             }
             
-            data.macAddresses[normalizedMac] = {
-                description: description,
-                accessType: accessType,
-                addedAt: new Date().toISOString(),
-                lastSeen: null,
-                accessCount: 0,
-                lastDevice: null,
-                id: crypto.randomUUID()
-            };
+            const trialSettings = parseTrialSettings(options);
+            if (trialSettings.error) {
+                return {
+                    success: false,
+                    message: trialSettings.error
+                };
+            }
+            
+            const scheduleSettings = options.schedule === undefined ? null : parseSchedule(options.schedule);
+            if (scheduleSettings && scheduleSettings.error) {
+                return {
+                    success: false,
+                    message: scheduleSettings.error
+                };
+            }
+            await this.refresh();
+            
+            const entry = await this.store.transaction(async (tx) => {
+                if (await findDeviceEntry(tx, normalizedMac)) {
+                    return null;
+                }
+                
+                return saveEntry(tx, {
+                    macAddress: normalizedMac,
+                    description: description,
+                    accessType: accessType,
+                    addedAt: new Date().toISOString(),
+                    lastSeen: null,
+                    accessCount: 0,
+                    lastDevice: null,
+                    id: crypto.randomUUID(),
+                    ...trialSettings.settings,
+                    schedule: scheduleSettings ? scheduleSettings.schedule : null
+                }, { action: 'add-mac', actor: null });
+            });
             
-            const success = await this.writeDatabase(data);
+            if (!entry) {
+                return {
+                    success: false,
+                    message: 'MAC address already exists in whitelist'
+                };
+            }
             
-            if (success) {
+            if (this.savedToStore()) {
                 return {
                     success: true,
                     message: 'MAC address added successfully',
-                    data: data.macAddresses[normalizedMac]
+                    data: entry,
+                    warning: parsedMac.warning
                 };
             } else {
                 return {
@@ -230,28 +292,79 @@ class MACDatabase {
         }
     }
     
-    async updateMACAccess(macAddress, accessType) {
+    // options may also carry description, and approveDeviceKey with the fingerprint of the key to bind
+    async updateMACAccess(macAddress, accessType, options = {}) {
         try {
-            const normalizedMac = macAddress.toLowerCase();
-            const data = await this.readDatabase();
+            const parsedMac = parseMacAddress(macAddress);
+            if (parsedMac.error) {
+                return {
+                    success: false,
+                    message: parsedMac.error
+                };
+            }
             
-            if (!data.macAddresses[normalizedMac]) {
+            const normalizedMac = parsedMac.mac;
+            if (!ACCESS_TYPES.includes(accessType)) {
                 return {
                     success: false,
-                    message: 'MAC address not found in whitelist'
+                    message: 'Invalid access type. Must be: trial, unlimited, or admin'
                 };
             }
             
-            data.macAddresses[normalizedMac].accessType = accessType;
-            data.macAddresses[normalizedMac].updatedAt = new Date().toISOString();
+            const trialSettings = parseTrialSettings(options);
+            if (trialSettings.error) {
+                return {
+                    success: false,
+                    message: trialSettings.error
+                };
+            }
             
-            const success = await this.writeDatabase(data);
+            const scheduleSettings = options.schedule === undefined ? null : parseSchedule(options.schedule);
+            if (scheduleSettings && scheduleSettings.error) {
+                return {
+                    success: false,
+                    message: scheduleSettings.error
+                };
+            }
+            await this.refresh();
             
-            if (success) {
+            let keyError = null;
+            const entry = await this.store.transaction(async (tx) => {
+                const existing = await findDeviceEntry(tx, normalizedMac);
+                if (!existing) {
+                    return null;
+                }
+                
+                if (options.approveDeviceKey !== undefined) {
+                    keyError = approvePendingKey(existing, options.approveDeviceKey);
+                    if (keyError) {
+                        return null;
+                    }
+                }
+                existing.accessType = accessType;
+                Object.assign(existing, trialSettings.settings);
+                if (scheduleSettings) {
+                    existing.schedule = scheduleSettings.schedule;
+                }
+                if (typeof options.description === 'string') {
+                    existing.description = options.description.trim() || 'No description';
+                }
+                existing.updatedAt = new Date().toISOString();
+                return saveEntry(tx, existing, { action: 'update-access', actor: null });
+            });
+            
+            if (!entry) {
+                return {
+                    success: false,
+                    message: keyError || 'MAC address not found in whitelist'
+                };
+            }
+            
+            if (this.savedToStore()) {
                 return {
                     success: true,
                     message: 'Access type updated successfully',
-                    data: data.macAddresses[normalizedMac]
+                    data: entry
                 };
             } else {
                 return {
@@ -271,21 +384,19 @@ class MACDatabase {
     
     async removeMACAddress(macAddress) {
         try {
-            const normalizedMac = macAddress.toLowerCase();
-            const data = await this.readDatabase();
+            // Entries saved before MACs were validated may have non-canonical keys
+            const parsedMac = parseMacAddress(macAddress);
+            const normalizedMac = parsedMac.error ? String(macAddress).trim().toLowerCase() : parsedMac.mac;
+            await this.refresh();
             
-            if (!data.macAddresses[normalizedMac]) {
+            if (!(await this.store.transaction(tx => removeDeviceOrLink(tx, normalizedMac, { action: 'remove-mac', actor: null })))) {
                 return {
                     success: false,
                     message: 'MAC address not found in whitelist'
                 };
             }
             
-            delete data.macAddresses[normalizedMac];
-            
-            const success = await this.writeDatabase(data);
-            
-            if (success) {
+            if (this.savedToStore()) {
                 return {
                     success: true,
                     message: 'MAC address removed successfully'
@@ -306,48 +417,64 @@ class MACDatabase {
         }
     }
     
-    async listMACAddresses() {
+    // Options as the list-macs query (lib/device-listing.js): search, status, accessType,
+    // lastSeenFrom, lastSeenTo, neverUsed, sort, order, limit, cursor
+    async listMACAddresses(options = {}) {
         try {
-            const data = await this.readDatabase();
-            const now = new Date();
-            const day24h = 24 * 60 * 60 * 1000;
-            const day7d = 7 * day24h;
+            const parsed = parseListQuery(options);
+            if (parsed.error) {
+                return {
+                    success: false,
+                    message: parsed.error,
+                    data: null
+                };
+            }
+            
+            await this.refresh();
+            const entries = await this.store.list('macAddresses');
             
-            const macList = Object.entries(data.macAddresses).map(([mac, entry]) => {
+            // Same group filter, group names and effective access types as the API handlers
+            const listing = groupListing(
+                entries.filter(entry => parsed.options.statuses.includes(getEntryStatus(entry))),
+                await this.store.list('deviceGroups'),
+                options.group
+            );
+            if (listing.error) {
                 return {
-                    macAddress: mac,
+                    success: false,
+                    message: listing.error,
+                    data: null
+                };
+            }
+            
+            const macList = listing.entries.map(entry => {
+                return {
+                    macAddress: entry.macAddress,
                     description: entry.description,
-                    accessType: entry.accessType || 'trial',
+                    accessType: entry.accessType || null,
+                    effectiveAccessType: entry.effectiveAccessType,
+                    status: entry.status,
                     addedAt: entry.addedAt,
                     lastSeen: entry.lastSeen,
                     accessCount: entry.accessCount || 0,
                     lastDevice: entry.lastDevice,
+                    linkedMacs: entry.linkedMacs || [],
+                    groupId: entry.groupId || null,
+                    groupName: entry.groupName,
                     id: entry.id
                 };
             });
             
-            const statistics = {
-                total: macList.length,
-                activeLast24h: macList.filter(entry => {
-                    if (!entry.lastSeen) return false;
-                    const lastSeen = new Date(entry.lastSeen);
-                    return (now - lastSeen) <= day24h;
-                }).length,
-                activeLast7d: macList.filter(entry => {
-                    if (!entry.lastSeen) return false;
-                    const lastSeen = new Date(entry.lastSeen);
-                    return (now - lastSeen) <= day7d;
-                }).length,
-                neverUsed: macList.filter(entry => !entry.lastSeen).length,
-                totalAccesses: data.statistics.totalAccesses || 0
-            };
+            const page = listEntries(macList, parsed.options);
             
             return {
                 success: true,
                 message: 'MAC addresses retrieved successfully',
                 data: {
-                    macAddresses: macList,
-                    statistics: statistics
+                    macAddresses: page.entries,
+                    pagination: page.pagination,
+                    statistics: computeStatistics(entries),
+                    groupStatistics: listing.groupStatistics
                 }
             };
             
@@ -361,55 +488,134 @@ class MACDatabase {
         }
     }
     
+    // Newest audit events first; options: macAddress, outcome, limit (default 50)
+    async getAccessLog(options = {}) {
+        try {
+            await this.refresh();
+            const macAddress = options.macAddress ? canonicalizeMac(options.macAddress) : null;
+            if (options.macAddress && !macAddress) {
+                return {
+                    success: false,
+                    message: 'Invalid MAC address'
+                };
+            }
+            
+            const events = (await this.store.list('auditLog'))
+                .filter(event =>
+                    (!macAddress || event.macAddress === macAddress || (event.details?.macAddresses || []).includes(macAddress)) &&
+                    (!options.outcome || event.outcome === options.outcome))
+                .sort((a, b) => b.id.localeCompare(a.id))
+                .slice(0, options.limit || 50);
+            
+            return {
+                success: true,
+                message: 'Audit log retrieved successfully',
+                data: { events }
+            };
+            
+        } catch (error) {
+            console.error('Error reading audit log:', error);
+            return {
+                success: false,
+                message: `Error reading audit log: ${error.message}`
+            };
+        }
+    }
+    
+    // Storage state as the health action reports it
+    async getHealth() {
+        try {
+            await this.refresh();
+            const storage = this.store.status();
+            const problems = findHealthProblems({ valid: true }, storage);
+            
+            return {
+                success: true,
+                message: problems.length === 0 ? 'Database is healthy' : 'Database is degraded',
+                data: {
+                    status: problems.length === 0 ? 'ok' : 'degraded',
+                    problems: problems,
+                    totalMACs: (await this.store.list('macAddresses')).length,
+                    storage: storage
+                }
+            };
+            
+        } catch (error) {
+            return {
+                success: false,
+                message: `Storage unavailable: ${error.message}`
+            };
+        }
+    }
+    
     async bulkAddMACs(macAddressList) {
         try {
-            const data = await this.readDatabase();
+            await this.refresh();
             const results = [];
             let addedCount = 0;
             let skippedCount = 0;
+            let invalidCount = 0;
             
-            for (const macEntry of macAddressList) {
-                const normalizedMac = macEntry.macAddress.toLowerCase();
-                
-                if (data.macAddresses[normalizedMac]) {
-                    results.push({
-                        macAddress: normalizedMac,
-                        status: 'skipped',
-                        reason: 'Already exists'
-                    });
-                    skippedCount++;
-                } else {
-                    data.macAddresses[normalizedMac] = {
-                        description: macEntry.description || 'Bulk added device',
-                        accessType: macEntry.accessType || 'trial',
-                        addedAt: new Date().toISOString(),
-                        lastSeen: null,
-                        accessCount: 0,
-                        lastDevice: null,
-                        id: crypto.randomUUID()
-                    };
+            await this.store.transaction(async (tx) => {
+                for (const macEntry of macAddressList) {
+                    const parsedMac = parseMacAddress(macEntry.macAddress);
+                    const normalizedMac = parsedMac.mac;
                     
-                    results.push({
-                        macAddress: normalizedMac,
-                        status: 'added',
-                        accessType: macEntry.accessType || 'trial'
-                    });
-                    addedCount++;
+                    if (parsedMac.error) {
+                        results.push({
+                            macAddress: macEntry.macAddress,
+                            status: 'invalid',
+                            reason: parsedMac.error
+                        });
+                        invalidCount++;
+                    } else if (macEntry.accessType !== undefined && !ACCESS_TYPES.includes(macEntry.accessType)) {
+                        results.push({
+                            macAddress: normalizedMac,
+                            status: 'invalid',
+                            reason: 'Invalid access type. Must be: trial, unlimited, or admin'
+                        });
+                        invalidCount++;
+                    } else if (await findDeviceEntry(tx, normalizedMac)) {
+                        results.push({
+                            macAddress: normalizedMac,
+                            status: 'skipped',
+                            reason: 'Already exists'
+                        });
+                        skippedCount++;
+                    } else {
+                        await saveEntry(tx, {
+                            macAddress: normalizedMac,
+                            description: macEntry.description || 'Bulk added device',
+                            accessType: macEntry.accessType || 'trial',
+                            addedAt: new Date().toISOString(),
+                            lastSeen: null,
+                            accessCount: 0,
+                            lastDevice: null,
+                            id: crypto.randomUUID()
+                        }, { action: 'bulk-add', actor: null });
+                        
+                        results.push({
+                            macAddress: normalizedMac,
+                            status: 'added',
+                            accessType: macEntry.accessType || 'trial',
+                            warning: parsedMac.warning
+                        });
+                        addedCount++;
+                    }
                 }
-            }
-            
-            const success = await this.writeDatabase(data);
+            });
             
-            if (success) {
+            if (addedCount === 0 || this.savedToStore()) {
                 return {
                     success: true,
-                    message: `Bulk operation completed: ${addedCount} added, ${skippedCount} skipped`,
+                    message: `Bulk operation completed: ${addedCount} added, ${skippedCount} skipped, ${invalidCount} invalid`,
                     data: {
                         results: results,
                         summary: {
                             total: macAddressList.length,
                             added: addedCount,
-                            skipped: skippedCount
+                            skipped: skippedCount,
+                            invalid: invalidCount
                         }
                     }
                 };
@@ -428,6 +634,37 @@ class MACDatabase {
             };
         }
     }
+    
+    // Add, update, remove and suspend devices all or nothing (see lib/bulk-operations.js);
+    // options are { onConflict: 'skip' | 'overwrite' | 'fail', dryRun }
+    async bulkOperations(operations, options = {}) {
+        try {
+            await this.refresh();
+            const outcome = await runBulkOperations(this.store, operations, { ...options, actor: null });
+            
+            if (outcome.error) {
+                return { success: false, message: outcome.error };
+            }
+            if (outcome.applied && !this.savedToStore()) {
+                return {
+                    success: false,
+                    message: 'Failed to save bulk changes to database'
+                };
+            }
+            
+            return {
+                success: outcome.summary.failed === 0,
+                message: describeBulkOutcome(outcome),
+                data: outcome
+            };
+        } catch (error) {
+            console.error('Error in bulk operation:', error);
+            return {
+                success: false,
+                message: `Bulk operation error: ${error.message}`
+            };
+        }
+    }
 }
 
 export default MACDatabase;
@@ -4,6 +4,21 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { parseArgs } from 'util';
+import { createStore, JSONFileStore } from './lib/storage/index.js';
+import { FILE_FORMAT_VERSION } from './lib/storage/json-file-store.js';
+import { getStorageConfig } from './lib/config.js';
+import { readFileVerified, writeFileAtomic } from './lib/storage/atomic-file.js';
+import { detectFormat, planMigration, migrateData, writeMigrationBackup } from './lib/storage/migrations.js';
+import { parseStatusFilter } from './lib/entry-status.js';
+import {
+    EXPORT_FORMATS,
+    IMPORT_MODES,
+    exportWhitelist,
+    readImportRows,
+    importWhitelist,
+    describeImport
+} from './lib/import-export.js';
 
 const DATA_DIR = './data';
 const DATA_FILE = path.join(DATA_DIR, 'mac-whitelist.json');
@@ -20,7 +35,7 @@ const SAMPLE_DATA = [
         lastDevice: null
     },
     {
-        macAddress: '11:22:33:44:55:66', 
+        macAddress: '10:22:33:44:55:66',
         description: 'Admin Laptop',
         accessType: 'admin',
         addedAt: '2024-01-01T00:00:00.000Z',
@@ -30,6 +45,30 @@ const SAMPLE_DATA = [
     }
 ];
 
+// Replace the whitelist in the data file and its backup copies, saved the way the server saves
+// them so the checksums match and the revision wins over every older copy
+async function saveWhitelist(macAddresses) {
+    const store = new JSONFileStore([{ name: 'Primary', path: DATA_FILE }, ...getStorageConfig().files.slice(1)]);
+    await store.load();
+
+    await store.transaction(async (tx) => {
+        for (const entry of await tx.list('macAddresses')) {
+            await tx.delete('macAddresses', entry.macAddress);
+        }
+        for (const entry of macAddresses) {
+            await tx.put('macAddresses', entry.macAddress, entry);
+        }
+    });
+
+    // An empty whitelist replacing nothing still needs a file
+    if (!store.lastSave) {
+        await store.commitWrites(new Map());
+    }
+    if (!store.lastSave.results.find(result => result.name === 'Primary')?.success) {
+        throw new Error(`Could not write ${DATA_FILE}`);
+    }
+}
+
 async function createInitialData() {
     console.log('🔄 Creating initial MAC whitelist data...');
     
@@ -38,30 +77,16 @@ async function createInitialData() {
         await fs.mkdir(DATA_DIR, { recursive: true });
         console.log('📁 Data directory created');
         
-        // Create initial data structure
-        const initialData = {
-            macAddresses: [], // Start empty - add your MACs via admin panel
-            statistics: {
-                total: 0,
-                activeLast24h: 0,
-                activeLast7d: 0,
-                neverUsed: 0,
-                totalAccesses: 0
-            },
-            lastUpdated: new Date().toISOString(),
-            version: '2.0'
-        };
-        
-        // Write to file
-        await fs.writeFile(DATA_FILE, JSON.stringify(initialData, null, 2));
+        // Start empty - add your MACs via admin panel
+        await saveWhitelist([]);
         console.log('✅ Initial data file created:', DATA_FILE);
         
         console.log('\n📋 Next Steps:');
         console.log('1. Commit and push this data file to your repository');
         console.log('2. Deploy to Vercel'); 
         console.log('3. Set ADMIN_SECRET_KEY environment variable in Vercel');
-        console.log('4. Use admin mode to add your MAC addresses:');
-        console.log('   node sat-launcher-mac.js admin');
+        console.log('4. Add your MAC addresses with the admin CLI:');
+        console.log('   node bin/satadmin.js add <mac> --url <deployment URL>');
         
     } catch (error) {
         console.error('❌ Error creating initial data:', error);
@@ -72,21 +97,7 @@ async function addSampleData() {
     console.log('🔄 Adding sample MAC addresses...');
     
     try {
-        const data = {
-            macAddresses: SAMPLE_DATA,
-            statistics: {
-                total: SAMPLE_DATA.length,
-                activeLast24h: 0,
-                activeLast7d: 0,
-                neverUsed: SAMPLE_DATA.length,
-                totalAccesses: 0
-            },
-            lastUpdated: new Date().toISOString(),
-            version: '2.0'
-        };
-        
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
+        await saveWhitelist(SAMPLE_DATA);
         
         console.log('✅ Sample data added with MAC addresses:');
         SAMPLE_DATA.forEach(entry => {
@@ -100,6 +111,152 @@ async function addSampleData() {
     }
 }
 
+// CSV unless the file name says JSON
+function formatForFile(file, format) {
+    return format || (file && path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv');
+}
+
+// Export the whitelist from the configured storage to a file, or to stdout when none is given
+async function exportData(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        options: { format: { type: 'string' }, status: { type: 'string' } },
+        allowPositionals: true
+    });
+    const [file] = positionals;
+    const format = formatForFile(file, values.format);
+
+    // Keep stdout for the exported data
+    if (!file) console.log = console.error;
+
+    try {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${format}". Use ${EXPORT_FORMATS.join(' or ')}`);
+        }
+        const statusFilter = parseStatusFilter(values.status || 'all');
+        if (statusFilter.error) {
+            throw new Error(statusFilter.error);
+        }
+
+        const store = await createStore();
+        await store.load();
+        const exported = await exportWhitelist(store, { format, statuses: statusFilter.statuses });
+        const content = format === 'csv' ? exported.content : JSON.stringify(exported.records, null, 2) + '\n';
+
+        if (file) {
+            await fs.writeFile(file, content);
+            console.log(`✅ Exported ${exported.count} device(s) to ${file}`);
+        } else {
+            process.stdout.write(content);
+        }
+    } catch (error) {
+        console.error('❌ Error exporting data:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Import a CSV or JSON file into the configured storage
+async function importData(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        options: { format: { type: 'string' }, mode: { type: 'string' }, 'dry-run': { type: 'boolean' } },
+        allowPositionals: true
+    });
+    const [file] = positionals;
+    const mode = values.mode || 'add';
+
+    try {
+        if (!file) {
+            throw new Error('Usage: node migrate-data.js import <file> [--mode add|upsert|replace] [--dry-run]');
+        }
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`Unknown mode "${mode}". Use ${IMPORT_MODES.join(', ')}`);
+        }
+
+        const { rows, error } = readImportRows(await fs.readFile(file, 'utf8'), formatForFile(file, values.format));
+        if (error) {
+            throw new Error(error);
+        }
+        if (rows.length === 0) {
+            throw new Error(`${file} contains no devices`);
+        }
+
+        console.log(`🔄 Importing ${rows.length} device(s) from ${file} (${mode}${values['dry-run'] ? ', dry run' : ''})...`);
+
+        const store = await createStore();
+        await store.load();
+        const report = await store.transaction(tx => importWhitelist(tx, rows, {
+            mode: mode,
+            dryRun: values['dry-run'] === true,
+            actor: 'migrate-data'
+        }));
+
+        if (report.errors.length > 0) {
+            for (const item of report.errors) {
+                console.error(`   line ${item.line}: ${item.macAddress ?? '(no MAC)'} - ${item.message}`);
+            }
+            console.error(`❌ ${describeImport(report)}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        for (const item of report.changes.filter(item => item.change !== 'unchanged')) {
+            const where = item.line === null ? '' : `line ${item.line}: `;
+            const fields = item.fields ? ` (${item.fields.join(', ')})` : '';
+            console.log(`   ${where}${item.change} ${item.macAddress}${fields}`);
+        }
+        console.log(`${report.dryRun ? '📋' : '✅'} ${describeImport(report)}`);
+    } catch (error) {
+        console.error('❌ Error importing data:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Upgrade a data file written by an older version to the current format, backing up each step
+async function migrateFile(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        options: { 'dry-run': { type: 'boolean' } },
+        allowPositionals: true
+    });
+    const file = positionals[0] || DATA_FILE;
+
+    try {
+        const { content } = await readFileVerified(file);
+        const parsed = JSON.parse(content);
+        const format = detectFormat(parsed);
+
+        console.log(`📄 ${file} is in data format ${format}`);
+        if (format === FILE_FORMAT_VERSION) {
+            console.log('✅ Already up to date');
+            return;
+        }
+
+        for (const step of planMigration(format)) {
+            console.log(`   ${step.from} → ${step.to}: ${step.description}`);
+        }
+        if (values['dry-run']) {
+            console.log('📋 Dry run: nothing was changed');
+            return;
+        }
+
+        const { data } = await migrateData(parsed, {
+            backup: async (stepFormat, stepData) => {
+                console.log(`🗄️  Backed up format ${stepFormat} as ${await writeMigrationBackup(file, stepFormat, stepData)}`);
+            }
+        });
+
+        // Saved like any other write, so this copy wins over older ones
+        data.lastUpdated = new Date().toISOString();
+        data.revision = (Number.isInteger(data.revision) ? data.revision : 0) + 1;
+        await writeFileAtomic(file, JSON.stringify(data, null, 2));
+        console.log(`✅ ${file} upgraded to data format ${FILE_FORMAT_VERSION}`);
+    } catch (error) {
+        console.error('❌ Error migrating data:', error.message);
+        process.exitCode = 1;
+    }
+}
+
 // Command line interface
 const command = process.argv[2];
 
@@ -111,6 +268,15 @@ switch (command) {
     case 'sample':
         await addSampleData();
         break;
+    case 'migrate':
+        await migrateFile(process.argv.slice(3));
+        break;
+    case 'export':
+        await exportData(process.argv.slice(3));
+        break;
+    case 'import':
+        await importData(process.argv.slice(3));
+        break;
     default:
         console.log('🛠️  MAC Address Data Migration Script');
         console.log('=====================================');
@@ -118,6 +284,12 @@ switch (command) {
         console.log('Usage:');
         console.log('  node migrate-data.js init     - Create empty data file');
         console.log('  node migrate-data.js sample   - Create with sample MAC addresses');
+        console.log('  node migrate-data.js migrate [file] [--dry-run]');
+        console.log('                                - Upgrade a data file from an older version (default: data file)');
+        console.log('  node migrate-data.js export [file] [--format csv|json] [--status all|active,...]');
+        console.log('                                - Export the whitelist (to stdout without a file)');
+        console.log('  node migrate-data.js import <file> [--format csv|json] [--mode add|upsert|replace] [--dry-run]');
+        console.log('                                - Import devices; --dry-run only reports the changes');
         console.log('');
         console.log('Recommended: Use "init" and add your MACs via admin panel');
         break;
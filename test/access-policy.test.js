@@ -0,0 +1,158 @@
+// test/access-policy.test.js - Access decisions for whitelisted devices
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { checkAccessPolicy, getEntryStatus } from '../lib/access-policy.js';
+import { applyGroupPolicy } from '../lib/device-groups.js';
+
+const NOW = Date.parse('2024-01-01T10:00:00.000Z'); // a Monday
+
+// Mondays 09:00-17:00 UTC
+const SCHEDULE = { timezone: 'UTC', windows: [{ days: ['mon'], start: '09:00', end: '17:00' }] };
+
+function reason(entry, now = NOW) {
+    return checkAccessPolicy(entry, now)?.reason ?? null;
+}
+
+describe('checkAccessPolicy', () => {
+    it('allows active devices without limits', () => {
+        assert.equal(reason({ accessType: 'unlimited' }), null);
+        assert.equal(reason({ accessType: 'trial', trialMaxLaunches: null, trialExpiresAt: null }), null);
+    });
+
+    it('refuses suspended and revoked devices', () => {
+        assert.equal(reason({ accessType: 'admin', status: 'suspended' }), 'suspended');
+        assert.equal(reason({ accessType: 'admin', status: 'revoked' }), 'revoked');
+    });
+
+    it('lets a suspension lapse at its resumeAt date', () => {
+        const entry = { accessType: 'unlimited', status: 'suspended', resumeAt: '2024-01-01T09:00:00.000Z' };
+
+        assert.equal(getEntryStatus(entry, NOW), 'active');
+        assert.equal(reason(entry), null);
+        assert.equal(reason(entry, Date.parse('2024-01-01T08:00:00.000Z')), 'suspended');
+    });
+
+    it('refuses trials past their expiry or launch limit', () => {
+        assert.equal(reason({ accessType: 'trial', trialExpiresAt: '2023-12-31T00:00:00.000Z' }), 'trial_expired');
+        assert.equal(reason({ accessType: 'trial', trialMaxLaunches: 3, accessCount: 3 }), 'trial_launches_exhausted');
+        assert.equal(reason({ accessType: 'trial', trialMaxLaunches: 3, accessCount: 2 }), null);
+    });
+
+    it('ignores trial limits for other access types', () => {
+        assert.equal(reason({ accessType: 'unlimited', trialMaxLaunches: 1, accessCount: 10 }), null);
+    });
+
+    it('refuses access outside the schedule and says when it opens', () => {
+        assert.equal(reason({ accessType: 'unlimited', schedule: SCHEDULE }), null);
+
+        const denial = checkAccessPolicy({ accessType: 'unlimited', schedule: SCHEDULE }, Date.parse('2024-01-01T17:00:00.000Z'));
+        assert.equal(denial.reason, 'outside_schedule');
+        assert.equal(denial.details.nextWindowStart, '2024-01-08T09:00:00.000Z');
+    });
+
+    it('reports the status before any other limit', () => {
+        const entry = { accessType: 'trial', status: 'revoked', trialMaxLaunches: 1, accessCount: 5, schedule: SCHEDULE };
+        assert.equal(reason(entry, Date.parse('2024-01-02T10:00:00.000Z')), 'revoked');
+    });
+
+    it('applies group policy the device does not set itself', () => {
+        const group = { id: 'g1', accessType: 'trial', trialMaxLaunches: 1 };
+
+        assert.equal(reason(applyGroupPolicy({ accessCount: 1 }, group)), 'trial_launches_exhausted');
+        assert.equal(reason(applyGroupPolicy({ accessType: 'unlimited', accessCount: 1 }, group)), null);
+    });
+});
+
+describe('check-access', () => {
+    let handler;
+
+    before(async () => {
+        process.env.STORAGE_BACKEND = 'memory';
+        process.env.RATE_LIMIT_DISABLED = 'true';
+        process.env.ADMIN_SECRET_KEY = 'test-admin-key-that-is-long-enough-1234';
+        // Keeps the generated token signing key out of data/
+        process.env.ACCESS_TOKEN_PRIVATE_KEY = crypto.generateKeyPairSync('ed25519').privateKey
+            .export({ type: 'pkcs8', format: 'pem' });
+        ({ default: handler } = await import('../api/mac-auth-enhanced.js'));
+    });
+
+    function call(action, body) {
+        return new Promise((resolve, reject) => {
+            const res = {
+                statusCode: 200,
+                setHeader() {},
+                status(code) {
+                    this.statusCode = code;
+                    return this;
+                },
+                json(payload) {
+                    resolve({ status: this.statusCode, body: payload });
+                    return this;
+                },
+                end() {
+                    resolve({ status: this.statusCode });
+                    return this;
+                }
+            };
+            const req = { method: 'POST', query: { action }, body, headers: {}, socket: { remoteAddress: '127.0.0.1' } };
+            Promise.resolve(handler(req, res)).catch(reject);
+        });
+    }
+
+    const admin = body => ({ adminKey: process.env.ADMIN_SECRET_KEY, ...body });
+
+    function deviceKey() {
+        const { publicKey } = crypto.generateKeyPairSync('ed25519');
+        const der = publicKey.export({ type: 'spki', format: 'der' });
+        return { publicKey: der.toString('base64'), fingerprint: crypto.createHash('sha256').update(der).digest('hex') };
+    }
+
+    it('grants whitelisted devices and counts the launch', async () => {
+        await call('add-mac', admin({ macAddress: '00:11:22:33:44:01', accessType: 'unlimited' }));
+
+        const response = await call('check-access', { macAddresses: ['00-11-22-33-44-01'] });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+        assert.ok(response.body.data.accessToken);
+    });
+
+    it('refuses devices that are not whitelisted', async () => {
+        const response = await call('check-access', { macAddresses: ['00:11:22:33:44:99'] });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.reason, 'not_whitelisted');
+    });
+
+    it('binds a device key only after an admin approves its fingerprint', async () => {
+        await call('add-mac', admin({ macAddress: '00:11:22:33:44:02', accessType: 'unlimited' }));
+        const key = deviceKey();
+
+        await call('check-access', { macAddresses: ['00:11:22:33:44:02'], publicKey: key.publicKey });
+        const offered = await call('list-macs', admin({ search: '00:11:22:33:44:02' }));
+        const [entry] = offered.body.data.macAddresses;
+        assert.equal(entry.publicKey, undefined);
+        assert.equal(entry.pendingKey.fingerprint, key.fingerprint);
+
+        const wrong = await call('update-access', admin({ macAddress: '00:11:22:33:44:02', accessType: 'unlimited', approveDeviceKey: deviceKey().fingerprint }));
+        assert.equal(wrong.status, 400);
+
+        const approved = await call('update-access', admin({ macAddress: '00:11:22:33:44:02', accessType: 'unlimited', approveDeviceKey: key.fingerprint }));
+        assert.equal(approved.status, 200);
+
+        const response = await call('check-access', { macAddresses: ['00:11:22:33:44:02'] });
+        assert.equal(response.status, 401);
+        assert.equal(response.body.reason, 'attestation_required');
+    });
+
+    it('gives enrolled devices their status denial before asking for attestation', async () => {
+        await call('add-mac', admin({ macAddress: '00:11:22:33:44:03', accessType: 'unlimited' }));
+        const key = deviceKey();
+        await call('check-access', { macAddresses: ['00:11:22:33:44:03'], publicKey: key.publicKey });
+        await call('update-access', admin({ macAddress: '00:11:22:33:44:03', accessType: 'unlimited', approveDeviceKey: key.fingerprint }));
+
+        await call('suspend-mac', admin({ macAddress: '00:11:22:33:44:03' }));
+        const response = await call('check-access', { macAddresses: ['00:11:22:33:44:03'] });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.reason, 'suspended');
+    });
+});
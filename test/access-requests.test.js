@@ -0,0 +1,115 @@
+// test/access-requests.test.js - Queueing unknown devices and deciding their requests
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../lib/storage/index.js';
+import {
+    queueAccessRequest,
+    handleListAccessRequests,
+    handleApproveAccessRequest,
+    handleRejectAccessRequest
+} from '../lib/access-requests.js';
+
+const ADMIN_KEY = 'test-admin-key-that-is-long-enough-1234';
+const CONFIG = { enabled: true, maxPending: 2 };
+
+function request(body = {}) {
+    return { method: 'POST', query: {}, body, headers: {}, socket: { remoteAddress: '127.0.0.1' } };
+}
+
+// Runs a handler and resolves its status and JSON body
+async function respond(handler, store, body) {
+    let response = null;
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            response = { status: this.statusCode, body: payload };
+            return this;
+        }
+    };
+    await handler(request({ adminKey: ADMIN_KEY, ...body }), res, store);
+    return response;
+}
+
+describe('access requests', () => {
+    let store;
+
+    before(() => {
+        process.env.ADMIN_SECRET_KEY = ADMIN_KEY;
+    });
+
+    beforeEach(async () => {
+        store = new MemoryStore();
+        await store.load();
+    });
+
+    it('queues an unknown device once and keeps what it first asked with', async () => {
+        const first = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01'], request({ name: 'Laptop' }), CONFIG);
+        const again = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01'], request({ name: 'Renamed' }), CONFIG);
+
+        assert.equal(first.status, 'pending');
+        assert.equal(again.id, first.id);
+        const [saved] = await store.list('accessRequests');
+        assert.equal(saved.name, 'Laptop');
+    });
+
+    it('writes nothing for a device that asks again within a minute', async () => {
+        await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01'], request(), CONFIG);
+        const attempts = store.writeStats.attempts;
+
+        for (let i = 0; i < 5; i++) {
+            await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01'], request(), CONFIG);
+        }
+
+        assert.equal(store.writeStats.attempts, attempts);
+        assert.equal((await store.list('accessRequests'))[0].requestCount, 1);
+    });
+
+    it('bumps an open request once its last ask is a minute old', async () => {
+        const { id } = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01'], request(), CONFIG);
+        const saved = await store.get('accessRequests', id);
+        await store.put('accessRequests', id, { ...saved, lastRequestedAt: new Date(Date.now() - 61000).toISOString() });
+
+        await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01'], request(), CONFIG);
+
+        assert.equal((await store.get('accessRequests', id)).requestCount, 2);
+    });
+
+    it('gives another set of MACs a request of its own and stops at the pending limit', async () => {
+        const first = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01'], request(), CONFIG);
+        const second = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01', 'aa:bb:cc:dd:ee:02'], request(), CONFIG);
+        const third = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:03'], request(), CONFIG);
+
+        assert.notEqual(second.id, first.id);
+        assert.equal(third, null);
+    });
+
+    it('does not queue MACs from a rejected request again', async () => {
+        const { id } = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01', 'aa:bb:cc:dd:ee:02'], request(), CONFIG);
+        const rejected = await respond(handleRejectAccessRequest, store, { requestId: id });
+        assert.equal(rejected.status, 200);
+
+        const again = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:02'], request(), CONFIG);
+        assert.equal(again.id, id);
+        assert.equal(again.status, 'rejected');
+        assert.equal((await store.list('accessRequests')).length, 1);
+    });
+
+    it('whitelists every MAC of an approved request', async () => {
+        const { id } = await queueAccessRequest(store, ['aa:bb:cc:dd:ee:01', 'aa:bb:cc:dd:ee:02'], request({ name: 'Laptop' }), CONFIG);
+
+        const invalid = await respond(handleApproveAccessRequest, store, { requestId: id, accessType: 'superuser' });
+        assert.equal(invalid.status, 400);
+
+        const approved = await respond(handleApproveAccessRequest, store, { requestId: id, accessType: 'unlimited' });
+        assert.equal(approved.status, 201);
+        assert.equal(approved.body.data.description, 'Laptop');
+        assert.deepEqual(approved.body.data.linkedMacs, ['aa:bb:cc:dd:ee:02']);
+
+        const pending = await respond(handleListAccessRequests, store, {});
+        assert.deepEqual(pending.body.data.requests, []);
+    });
+});
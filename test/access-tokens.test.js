@@ -0,0 +1,96 @@
+// test/access-tokens.test.js - Signing and verifying check-access tokens
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryStore } from '../lib/storage/index.js';
+import { getAccessTokenConfig } from '../lib/config.js';
+import { getSigningKey, issueAccessToken, verifyAccessToken, handleGetPublicKey } from '../lib/access-tokens.js';
+
+const ENTRY = { macAddress: 'aa:bb:cc:dd:ee:01', accessType: 'unlimited' };
+
+let tempDir;
+let store;
+let legacyPem;
+
+before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-tokens-'));
+    delete process.env.ACCESS_TOKEN_PRIVATE_KEY;
+    process.env.ACCESS_TOKEN_KEY_FILE = path.join(tempDir, 'keys', 'access-token-key.pem');
+
+    // As kept in storage by older versions
+    legacyPem = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+    store = new MemoryStore();
+    await store.load();
+    await store.put('signingKeys', 'access-token', { name: 'access-token', privateKey: legacyPem });
+});
+
+after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// Flip one character of the payload part, keeping the header and signature
+function tamper(token) {
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    claims.accessType = 'admin';
+    return [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+}
+
+describe('access token signing key', () => {
+    it('moves a key kept in storage into an owner-only key file', async () => {
+        const key = await getSigningKey(store);
+
+        const keyFile = process.env.ACCESS_TOKEN_KEY_FILE;
+        assert.equal(await fs.readFile(keyFile, 'utf8'), legacyPem);
+        assert.equal((await fs.stat(keyFile)).mode & 0o777, 0o600);
+        assert.equal(await store.get('signingKeys', 'access-token'), null);
+        assert.equal(key.keyId.length, 16);
+    });
+});
+
+describe('access tokens', () => {
+    it('verifies a token it issued, also with the published public key', async () => {
+        const issued = await issueAccessToken(store, ENTRY);
+
+        const result = await verifyAccessToken(store, issued.token);
+        assert.equal(result.valid, true);
+        assert.equal(result.payload.sub, ENTRY.macAddress);
+        assert.equal(result.payload.accessType, 'unlimited');
+        assert.ok(new Date(issued.offlineUntil) > new Date(issued.expiresAt));
+
+        let published = null;
+        const res = { status: () => res, json: (body) => { published = body.data; } };
+        await handleGetPublicKey({}, res, store);
+        const [header, payload, signature] = issued.token.split('.');
+        const publicKey = crypto.createPublicKey(published.publicKey);
+        assert.ok(crypto.verify(null, Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url')));
+    });
+
+    it('refuses changed, malformed and foreign tokens', async () => {
+        const { token } = await issueAccessToken(store, ENTRY);
+
+        assert.equal((await verifyAccessToken(store, tamper(token))).reason, 'bad_signature');
+        assert.equal((await verifyAccessToken(store, 'not-a-token')).reason, 'malformed');
+        assert.equal((await verifyAccessToken(store, 'a.b.c')).reason, 'malformed');
+
+        const [, payload, signature] = token.split('.');
+        const foreignHeader = Buffer.from(JSON.stringify({ alg: 'EdDSA', typ: 'JWT', kid: 'someone-else' })).toString('base64url');
+        assert.equal((await verifyAccessToken(store, `${foreignHeader}.${payload}.${signature}`)).reason, 'unknown_key');
+    });
+
+    it('honours an expired token only offline, until offlineUntil', async () => {
+        const config = { ...getAccessTokenConfig(), ttlMinutes: 0.001, offlineGraceHours: 1 };
+        const { token } = await issueAccessToken(store, ENTRY, config);
+
+        assert.equal((await verifyAccessToken(store, token)).reason, 'expired');
+        const offline = await verifyAccessToken(store, token, { allowOffline: true });
+        assert.equal(offline.valid, true);
+        assert.equal(offline.offline, true);
+
+        const lapsed = await issueAccessToken(store, ENTRY, { ...config, offlineGraceHours: 0.0001 });
+        assert.equal((await verifyAccessToken(store, lapsed.token, { allowOffline: true })).reason, 'expired');
+    });
+});
@@ -0,0 +1,108 @@
+// test/api-handler.test.js - Concurrent admin writes and access checks against the JSON file store
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JSONFileStore } from '../lib/storage/index.js';
+import { createApiHandler } from '../lib/api-handler.js';
+
+const ADMIN_KEY = 'test-admin-key-that-is-long-enough-1234';
+
+let tempDir;
+let handler;
+
+before(async () => {
+    process.env.RATE_LIMIT_DISABLED = 'true';
+    process.env.ADMIN_SECRET_KEY = ADMIN_KEY;
+    // Keeps the generated token signing key out of data/
+    process.env.ACCESS_TOKEN_PRIVATE_KEY = crypto.generateKeyPairSync('ed25519').privateKey
+        .export({ type: 'pkcs8', format: 'pem' });
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-api-'));
+    const store = new JSONFileStore(['Primary', 'Backup', 'Fallback'].map(name => ({
+        name: name,
+        path: path.join(tempDir, `${name.toLowerCase()}.json`)
+    })));
+    handler = createApiHandler(store, { reportPersistence: true });
+});
+
+after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+function call(action, body) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            setHeader() {},
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(payload) {
+                resolve({ status: this.statusCode, body: payload });
+                return this;
+            },
+            end() {
+                resolve({ status: this.statusCode });
+                return this;
+            }
+        };
+        const req = { method: 'POST', query: { action }, body, headers: {}, socket: { remoteAddress: '127.0.0.1' } };
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+}
+
+const admin = body => ({ adminKey: ADMIN_KEY, ...body });
+
+async function findEntry(macAddress) {
+    const response = await call('list-macs', admin({ search: macAddress }));
+    return response.body.data.macAddresses[0];
+}
+
+describe('concurrent requests', () => {
+    it('keeps launches counted while an admin updates the device', async () => {
+        await call('add-mac', admin({ macAddress: '00:11:22:33:55:01', accessType: 'unlimited' }));
+
+        const checks = Array.from({ length: 10 }, () => call('check-access', { macAddresses: ['00:11:22:33:55:01'] }));
+        const update = call('update-access', admin({ macAddress: '00:11:22:33:55:01', accessType: 'unlimited', description: 'Renamed' }));
+        const responses = await Promise.all([...checks, update]);
+
+        assert.deepEqual(responses.map(response => response.status), Array(11).fill(200));
+        const entry = await findEntry('00:11:22:33:55:01');
+        assert.equal(entry.accessCount, 10);
+        assert.equal(entry.description, 'Renamed');
+    });
+
+    it('holds a trial to its launch limit while an admin updates it', async () => {
+        await call('add-mac', admin({ macAddress: '00:11:22:33:55:02', accessType: 'trial', trialMaxLaunches: 5 }));
+
+        const checks = Array.from({ length: 10 }, () => call('check-access', { macAddresses: ['00:11:22:33:55:02'] }));
+        const update = call('update-access', admin({ macAddress: '00:11:22:33:55:02', accessType: 'trial', description: 'Trial' }));
+        const responses = await Promise.all([...checks, update]);
+
+        assert.equal(responses.slice(0, 10).filter(response => response.status === 200).length, 5);
+        assert.equal((await findEntry('00:11:22:33:55:02')).accessCount, 5);
+    });
+
+    it('adds a MAC once when two admins add it at the same time', async () => {
+        const responses = await Promise.all([
+            call('add-mac', admin({ macAddress: '00:11:22:33:55:03', description: 'First' })),
+            call('add-mac', admin({ macAddress: '00-11-22-33-55-03', description: 'Second' }))
+        ]);
+
+        assert.deepEqual(responses.map(response => response.status).sort(), [201, 409]);
+        const added = responses.find(response => response.status === 201);
+        assert.equal((await findEntry('00:11:22:33:55:03')).description, added.body.data.description);
+    });
+
+    it('reports whether each write reached the data files', async () => {
+        const response = await call('add-mac', admin({ macAddress: '00:11:22:33:55:04' }));
+        assert.equal(response.body.persistent, true);
+
+        const unchanged = await call('bulk-add', admin({ macAddresses: [{ macAddress: '00:11:22:33:55:04' }] }));
+        assert.equal(unchanged.body.persistent, false);
+    });
+});
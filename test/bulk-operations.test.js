@@ -0,0 +1,44 @@
+// test/bulk-operations.test.js - Bulk adds that overwrite devices in another group
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../lib/storage/index.js';
+import { runBulkOperations } from '../lib/bulk-operations.js';
+import { resolveEffectiveEntry } from '../lib/device-groups.js';
+
+describe('bulk add with overwrite', () => {
+    let store;
+
+    beforeEach(async () => {
+        store = new MemoryStore();
+        await store.load();
+        await store.put('deviceGroups', 'group-lab', { id: 'group-lab', name: 'Lab', accessType: 'trial', trialMaxLaunches: 3 });
+        await store.put('deviceGroups', 'group-office', { id: 'group-office', name: 'Office', accessType: 'unlimited' });
+        await runBulkOperations(store, [{ op: 'add', macAddress: 'aa:bb:cc:dd:ee:01', group: 'Lab' }]);
+    });
+
+    it('moves the device the way move-devices does', async () => {
+        const outcome = await runBulkOperations(store, [
+            { op: 'add', macAddress: 'aa:bb:cc:dd:ee:01', group: 'Office', description: 'Moved' }
+        ], { onConflict: 'overwrite' });
+        assert.equal(outcome.applied, true);
+        assert.equal(outcome.summary.updated, 1);
+
+        const entry = await store.get('macAddresses', 'aa:bb:cc:dd:ee:01');
+        assert.equal(entry.groupId, 'group-office');
+        assert.equal(entry.description, 'Moved');
+        // The new group sets the access type; the launch limit stays from the old group
+        assert.equal(entry.accessType, undefined);
+        assert.equal(entry.trialMaxLaunches, 3);
+        assert.equal((await resolveEffectiveEntry(store, entry)).accessType, 'unlimited');
+    });
+
+    it('keeps access settings the add gives explicitly', async () => {
+        await runBulkOperations(store, [
+            { op: 'add', macAddress: 'aa:bb:cc:dd:ee:01', group: 'Office', accessType: 'admin' }
+        ], { onConflict: 'overwrite' });
+
+        const entry = await store.get('macAddresses', 'aa:bb:cc:dd:ee:01');
+        assert.equal(entry.groupId, 'group-office');
+        assert.equal(entry.accessType, 'admin');
+    });
+});
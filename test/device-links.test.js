@@ -0,0 +1,129 @@
+// test/device-links.test.js - Linking several MAC addresses to one whitelisted device
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { MemoryStore } from '../lib/storage/index.js';
+import { createApiHandler } from '../lib/api-handler.js';
+
+const ADMIN_KEY = 'test-admin-key-that-is-long-enough-1234';
+const DEVICE = '00:1a:2b:3c:4d:01';
+const WIFI = '00:1a:2b:3c:4d:02';
+const RANDOMIZED = '02:bb:cc:dd:ee:03';
+
+let store;
+let handler;
+
+before(() => {
+    process.env.RATE_LIMIT_DISABLED = 'true';
+    process.env.ADMIN_SECRET_KEY = ADMIN_KEY;
+    // Keeps the generated token signing key out of data/
+    process.env.ACCESS_TOKEN_PRIVATE_KEY = crypto.generateKeyPairSync('ed25519').privateKey
+        .export({ type: 'pkcs8', format: 'pem' });
+});
+
+beforeEach(async () => {
+    store = new MemoryStore();
+    handler = createApiHandler(store);
+    await call('add-mac', admin({ macAddress: DEVICE, description: 'Workstation', accessType: 'unlimited' }));
+});
+
+function call(action, body) {
+    return new Promise((resolve, reject) => {
+        const res = {
+            statusCode: 200,
+            setHeader() {},
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(payload) {
+                resolve({ status: this.statusCode, body: payload });
+                return this;
+            }
+        };
+        const req = { method: 'POST', query: { action }, body, headers: {}, socket: { remoteAddress: '127.0.0.1' } };
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+}
+
+const admin = body => ({ adminKey: ADMIN_KEY, ...body });
+
+async function pendingProposals() {
+    return (await call('list-link-proposals', admin({}))).body.data.proposals;
+}
+
+describe('link proposals', () => {
+    it('proposes unknown universal MACs reported by an authorized device', async () => {
+        const checked = await call('check-access', { macAddresses: [DEVICE, WIFI, RANDOMIZED] });
+        assert.equal(checked.status, 200);
+
+        const proposals = await pendingProposals();
+        assert.deepEqual(proposals.map(proposal => [proposal.deviceMac, proposal.macAddress]), [[DEVICE, WIFI]]);
+
+        await call('check-access', { macAddresses: [DEVICE, WIFI] });
+        assert.equal((await pendingProposals())[0].seenCount, 2);
+    });
+
+    it('links a MAC when its proposal is approved, so it alone grants access', async () => {
+        await call('check-access', { macAddresses: [DEVICE, WIFI] });
+        const [proposal] = await pendingProposals();
+
+        const linked = await call('link-mac', admin({ proposalId: proposal.id }));
+        assert.equal(linked.status, 200);
+        assert.deepEqual(linked.body.data.linkedMacs, [WIFI]);
+        assert.deepEqual(await pendingProposals(), []);
+
+        const checked = await call('check-access', { macAddresses: [WIFI] });
+        assert.equal(checked.status, 200);
+        assert.equal((await store.get('macAddresses', DEVICE)).accessCount, 2);
+        assert.equal(await store.get('macAddresses', WIFI), null);
+    });
+
+    it('does not propose a rejected MAC again', async () => {
+        await call('check-access', { macAddresses: [DEVICE, WIFI] });
+        const [proposal] = await pendingProposals();
+
+        assert.equal((await call('reject-link', admin({ proposalId: proposal.id }))).status, 200);
+        await call('check-access', { macAddresses: [DEVICE, WIFI] });
+
+        assert.deepEqual(await pendingProposals(), []);
+        assert.equal((await call('link-mac', admin({ proposalId: proposal.id }))).status, 404);
+    });
+});
+
+describe('linking and unlinking', () => {
+    it('folds a whitelisted MAC into the device only when merge is set', async () => {
+        await call('add-mac', admin({ macAddress: WIFI, accessType: 'unlimited' }));
+        await call('check-access', { macAddresses: [WIFI] });
+
+        const refused = await call('link-mac', admin({ device: DEVICE, macAddress: WIFI }));
+        assert.equal(refused.status, 409);
+
+        const merged = await call('link-mac', admin({ device: DEVICE, macAddress: WIFI, merge: true }));
+        assert.equal(merged.status, 200);
+        assert.equal(merged.body.data.accessCount, 1);
+        assert.equal(await store.get('macAddresses', WIFI), null);
+        assert.equal((await store.get('macLinks', WIFI)).deviceMac, DEVICE);
+    });
+
+    it('treats a linked MAC as whitelisted when adding devices', async () => {
+        await call('link-mac', admin({ device: DEVICE, macAddress: WIFI }));
+
+        const added = await call('add-mac', admin({ macAddress: WIFI, accessType: 'trial' }));
+        assert.equal(added.status, 409);
+    });
+
+    it('detaches a linked MAC on remove-mac and removes the whole device by its primary MAC', async () => {
+        const OTHER = '00:1a:2b:3c:4d:04';
+        await call('link-mac', admin({ device: DEVICE, macAddress: WIFI }));
+        await call('link-mac', admin({ device: WIFI, macAddress: OTHER }));
+
+        assert.equal((await call('remove-mac', admin({ macAddress: WIFI }))).status, 200);
+        assert.deepEqual((await store.get('macAddresses', DEVICE)).linkedMacs, [OTHER]);
+        assert.equal((await call('check-access', { macAddresses: [WIFI] })).body.success, false);
+
+        assert.equal((await call('remove-mac', admin({ macAddress: DEVICE }))).status, 200);
+        assert.deepEqual(await store.list('macLinks'), []);
+        assert.equal((await call('unlink-mac', admin({ macAddress: OTHER }))).status, 404);
+    });
+});
@@ -0,0 +1,126 @@
+// test/enrollment-codes.test.js - Creating, redeeming and revoking enrollment codes
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../lib/storage/index.js';
+import {
+    handleCreateEnrollmentCode,
+    handleListEnrollmentCodes,
+    handleRevokeEnrollmentCode,
+    handleRedeemCode
+} from '../lib/enrollment-codes.js';
+
+const ADMIN_KEY = 'test-admin-key-that-is-long-enough-1234';
+
+// Runs a handler and resolves its status and JSON body
+async function respond(handler, store, body) {
+    let response = null;
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            response = { status: this.statusCode, body: payload };
+            return this;
+        }
+    };
+    const req = { method: 'POST', query: {}, body, headers: {}, socket: { remoteAddress: '127.0.0.1' } };
+    await handler(req, res, store);
+    return response;
+}
+
+const admin = body => ({ adminKey: ADMIN_KEY, ...body });
+
+describe('enrollment codes', () => {
+    let store;
+
+    before(() => {
+        process.env.ADMIN_SECRET_KEY = ADMIN_KEY;
+    });
+
+    beforeEach(async () => {
+        store = new MemoryStore();
+        await store.load();
+    });
+
+    async function createCode(body = {}) {
+        const created = await respond(handleCreateEnrollmentCode, store, admin(body));
+        assert.equal(created.status, 201);
+        return created.body.data;
+    }
+
+    it('returns the code once and keeps only its hash', async () => {
+        const { code, id } = await createCode({ accessType: 'unlimited' });
+        assert.match(code, /^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+
+        const [stored] = await store.list('enrollmentCodes');
+        assert.equal(stored.id, id);
+        assert.ok(!JSON.stringify(stored).includes(code));
+
+        const listed = await respond(handleListEnrollmentCodes, store, admin({}));
+        assert.equal(listed.body.data.codes[0].redeemable, true);
+        assert.equal(listed.body.data.codes[0].codeHash, undefined);
+    });
+
+    it('refuses invalid code settings', async () => {
+        assert.equal((await respond(handleCreateEnrollmentCode, store, admin({ accessType: 'superuser' }))).status, 400);
+        assert.equal((await respond(handleCreateEnrollmentCode, store, admin({ maxRedemptions: 0 }))).status, 400);
+        assert.equal((await respond(handleCreateEnrollmentCode, store, admin({ expiresInDays: 1.5 }))).status, 400);
+        assert.equal((await respond(handleCreateEnrollmentCode, store, admin({ group: 'missing' }))).status, 404);
+    });
+
+    it('whitelists a device with the settings of the code, typed loosely', async () => {
+        const { code } = await createCode({ accessType: 'trial', trialMaxLaunches: 3 });
+        const typed = code.toLowerCase().replace(/-/g, '').replace(/0/g, 'o');
+
+        const redeemed = await respond(handleRedeemCode, store, {
+            code: typed,
+            macAddresses: ['AA-BB-CC-DD-EE-01', 'aa:bb:cc:dd:ee:02'],
+            deviceInfo: { hostname: 'lab-pc' }
+        });
+        assert.equal(redeemed.status, 201);
+        assert.deepEqual(redeemed.body.data.macAddresses, ['aa:bb:cc:dd:ee:01', 'aa:bb:cc:dd:ee:02']);
+
+        const entry = await store.get('macAddresses', 'aa:bb:cc:dd:ee:01');
+        assert.equal(entry.description, 'lab-pc');
+        assert.equal(entry.trialMaxLaunches, 3);
+
+        const again = await respond(handleRedeemCode, store, { code, macAddresses: ['aa:bb:cc:dd:ee:03'] });
+        assert.equal(again.status, 410);
+        assert.equal(again.body.reason, 'code_exhausted');
+    });
+
+    it('does not use up a code on a device that is already whitelisted', async () => {
+        const { code, id } = await createCode({ maxRedemptions: 2 });
+        await respond(handleRedeemCode, store, { code, macAddresses: ['aa:bb:cc:dd:ee:01'] });
+
+        const duplicate = await respond(handleRedeemCode, store, { code, macAddresses: ['aa:bb:cc:dd:ee:01'] });
+        assert.equal(duplicate.status, 409);
+        assert.equal((await store.get('enrollmentCodes', id)).redemptionCount, 1);
+    });
+
+    it('refuses unknown and revoked codes', async () => {
+        const unknown = await respond(handleRedeemCode, store, { code: 'AAAA-BBBB-CCCC', macAddresses: ['aa:bb:cc:dd:ee:01'] });
+        assert.equal(unknown.status, 404);
+
+        const { code, id } = await createCode();
+        assert.equal((await respond(handleRevokeEnrollmentCode, store, admin({ codeId: id }))).status, 200);
+
+        const revoked = await respond(handleRedeemCode, store, { code, macAddresses: ['aa:bb:cc:dd:ee:01'] });
+        assert.equal(revoked.status, 410);
+        assert.equal(revoked.body.reason, 'code_revoked');
+        assert.deepEqual((await respond(handleListEnrollmentCodes, store, admin({}))).body.data.codes, []);
+    });
+
+    it('puts devices in the group of the code, inheriting its policy', async () => {
+        await store.put('deviceGroups', 'group-lab', { id: 'group-lab', name: 'Lab', accessType: 'admin' });
+        const { code } = await createCode({ group: 'Lab' });
+
+        await respond(handleRedeemCode, store, { code, macAddresses: ['aa:bb:cc:dd:ee:01'] });
+
+        const entry = await store.get('macAddresses', 'aa:bb:cc:dd:ee:01');
+        assert.equal(entry.groupId, 'group-lab');
+        assert.equal(entry.accessType, undefined);
+    });
+});
@@ -0,0 +1,132 @@
+// test/import-export.test.js - Whitelist export and import round trips
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../lib/storage/index.js';
+import { exportWhitelist, importWhitelist, readImportRows } from '../lib/import-export.js';
+
+const SCHEDULE = {
+    timezone: 'Europe/London',
+    windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:30' }]
+};
+
+const DEVICES = [
+    {
+        macAddress: 'aa:bb:cc:dd:ee:01',
+        linkedMacs: ['aa:bb:cc:dd:ee:0a', 'aa:bb:cc:dd:ee:0b'],
+        description: 'Office PC, second floor',
+        accessType: 'unlimited',
+        addedAt: '2024-01-01T00:00:00.000Z'
+    },
+    {
+        macAddress: 'aa:bb:cc:dd:ee:02',
+        description: 'Lab "kiosk"',
+        group: 'Lab',
+        schedule: SCHEDULE,
+        addedAt: '2024-02-01T00:00:00.000Z'
+    },
+    {
+        macAddress: 'aa:bb:cc:dd:ee:03',
+        description: 'Trial laptop',
+        accessType: 'trial',
+        trialExpiresAt: '2030-01-01T00:00:00.000Z',
+        trialMaxLaunches: 5,
+        addedAt: '2024-03-01T00:00:00.000Z'
+    }
+];
+
+async function storeWithGroup() {
+    const store = new MemoryStore();
+    await store.load();
+    await store.put('deviceGroups', 'group-lab', { id: 'group-lab', name: 'Lab', accessType: 'admin' });
+    return store;
+}
+
+async function runImport(store, content, options = {}) {
+    const { rows, error } = readImportRows(content, options.format);
+    assert.equal(error, undefined);
+    return store.transaction(tx => importWhitelist(tx, rows, { actor: 'tester', ...options }));
+}
+
+describe('import and export', () => {
+    let source;
+
+    beforeEach(async () => {
+        source = await storeWithGroup();
+        const report = await runImport(source, DEVICES);
+        assert.equal(report.applied, true);
+        assert.equal(report.added, 3);
+    });
+
+    it('keeps every exported field through a JSON round trip', async () => {
+        const exported = await exportWhitelist(source, { format: 'json' });
+        const target = await storeWithGroup();
+        await runImport(target, JSON.stringify({ macAddresses: exported.records }));
+
+        assert.deepEqual((await exportWhitelist(target, { format: 'json' })).records, exported.records);
+    });
+
+    it('keeps every exported field through a CSV round trip', async () => {
+        const exported = await exportWhitelist(source, { format: 'csv' });
+        const target = await storeWithGroup();
+        const report = await runImport(target, exported.content);
+        assert.deepEqual(report.errors, []);
+
+        const reimported = await exportWhitelist(target, { format: 'csv' });
+        assert.equal(reimported.content, exported.content);
+    });
+
+    it('leaves group policy inherited instead of copying it onto the device', async () => {
+        const entry = await source.get('macAddresses', 'aa:bb:cc:dd:ee:02');
+        assert.equal(entry.groupId, 'group-lab');
+        assert.equal(entry.accessType, undefined);
+
+        const [, lab] = (await exportWhitelist(source)).records;
+        assert.equal(lab.group, 'Lab');
+        assert.equal(lab.accessType, undefined);
+    });
+
+    it('only adds new devices in add mode and updates them in upsert mode', async () => {
+        const rows = [{ macAddress: 'AA-BB-CC-DD-EE-03', description: 'Renamed' }, { macAddress: 'aa:bb:cc:dd:ee:04' }];
+
+        const added = await runImport(source, rows);
+        assert.equal(added.added, 1);
+        assert.equal(added.unchanged, 1);
+        assert.equal((await source.get('macAddresses', 'aa:bb:cc:dd:ee:03')).description, 'Trial laptop');
+
+        const upserted = await runImport(source, rows, { mode: 'upsert' });
+        assert.equal(upserted.updated, 1);
+        assert.equal((await source.get('macAddresses', 'aa:bb:cc:dd:ee:03')).description, 'Renamed');
+    });
+
+    it('removes devices the import leaves out in replace mode', async () => {
+        const report = await runImport(source, [{ macAddress: 'aa:bb:cc:dd:ee:01' }], { mode: 'replace' });
+
+        assert.equal(report.removed, 2);
+        assert.deepEqual((await source.list('macAddresses')).map(entry => entry.macAddress), ['aa:bb:cc:dd:ee:01']);
+    });
+
+    it('changes nothing when a row is invalid or on a dry run', async () => {
+        const before = await exportWhitelist(source);
+
+        const invalid = await runImport(source, [{ macAddress: 'aa:bb:cc:dd:ee:09' }, { macAddress: 'not-a-mac' }], { mode: 'replace' });
+        assert.equal(invalid.applied, false);
+        assert.equal(invalid.errors.length, 1);
+        assert.equal(invalid.errors[0].line, 2);
+
+        const dryRun = await runImport(source, [{ macAddress: 'aa:bb:cc:dd:ee:09' }], { mode: 'replace', dryRun: true });
+        assert.equal(dryRun.applied, false);
+        assert.equal(dryRun.removed, 3);
+
+        assert.deepEqual(await exportWhitelist(source), before);
+    });
+
+    it('reports a row that claims a MAC another row already claimed', async () => {
+        const report = await runImport(new MemoryStore(), [
+            { macAddress: 'aa:bb:cc:dd:ee:05', linkedMacs: ['aa:bb:cc:dd:ee:06'] },
+            { macAddress: 'aa:bb:cc:dd:ee:06' }
+        ]);
+
+        assert.equal(report.applied, false);
+        assert.match(report.errors[0].message, /already on line 1/);
+    });
+});
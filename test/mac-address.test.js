@@ -0,0 +1,51 @@
+// test/mac-address.test.js - MAC address parsing and canonical form
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMacAddress, canonicalizeMac, canonicalizeMacList } from '../lib/mac-address.js';
+
+describe('parseMacAddress', () => {
+    it('accepts every notation and returns the lowercase colon form', () => {
+        for (const value of ['00:1A:2B:3C:4D:5E', '00-1a-2b-3c-4d-5e', '001a.2b3c.4d5e', '001A2B3C4D5E', '  00:1a:2b:3c:4d:5e\n']) {
+            assert.equal(parseMacAddress(value).mac, '00:1a:2b:3c:4d:5e', value);
+        }
+    });
+
+    it('refuses missing, non-string and malformed values', () => {
+        assert.equal(parseMacAddress(undefined).error, 'MAC address is required');
+        assert.equal(parseMacAddress('   ').error, 'MAC address is required');
+        assert.equal(parseMacAddress(1234).error, 'MAC address must be a string');
+
+        for (const value of ['00:1a:2b:3c:4d', '00:1a-2b:3c:4d:5e', '00:1a:2b:3c:4d:5g', '001a2b3c4d5e6f', '00:1a:2b:3c:4d:5e:6f']) {
+            assert.match(parseMacAddress(value).error, /Invalid MAC address/, value);
+        }
+    });
+
+    it('refuses addresses that never identify one device', () => {
+        assert.match(parseMacAddress('00:00:00:00:00:00').error, /all-zero/);
+        assert.match(parseMacAddress('ff:ff:ff:ff:ff:ff').error, /broadcast/);
+        assert.match(parseMacAddress('01:00:5e:00:00:01').error, /multicast/);
+    });
+
+    it('warns about locally administered addresses', () => {
+        const parsed = parseMacAddress('02:11:22:33:44:55');
+        assert.equal(parsed.locallyAdministered, true);
+        assert.match(parsed.warning, /locally administered/);
+
+        assert.equal(parseMacAddress('00:11:22:33:44:55').warning, null);
+    });
+});
+
+describe('canonicalizeMac and canonicalizeMacList', () => {
+    it('returns null for input that cannot match', () => {
+        assert.equal(canonicalizeMac('AA-BB-CC-DD-EE-F0'), 'aa:bb:cc:dd:ee:f0');
+        assert.equal(canonicalizeMac('not-a-mac'), null);
+    });
+
+    it('drops invalid entries and duplicates in the order reported', () => {
+        const { macs, invalid } = canonicalizeMacList(['00:11:22:33:44:55', 'bogus', '00-11-22-33-44-55', 'aabb.ccdd.ee00', null]);
+
+        assert.deepEqual(macs, ['00:11:22:33:44:55', 'aa:bb:cc:dd:ee:00']);
+        assert.deepEqual(invalid, ['bogus', null]);
+        assert.deepEqual(canonicalizeMacList('00:11:22:33:44:55'), { macs: [], invalid: [] });
+    });
+});
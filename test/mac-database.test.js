@@ -0,0 +1,85 @@
+// test/mac-database.test.js - The standalone MACDatabase over a private JSON store
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import MACDatabase from '../mac-database.js';
+
+let tempDir;
+let counter = 0;
+
+before(async () => {
+    // Keeps the generated token signing key out of data/
+    process.env.ACCESS_TOKEN_PRIVATE_KEY = crypto.generateKeyPairSync('ed25519').privateKey
+        .export({ type: 'pkcs8', format: 'pem' });
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-macdb-'));
+});
+
+after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+async function freshDatabase() {
+    const dir = path.join(tempDir, `db-${++counter}`);
+    await fs.mkdir(dir);
+    const db = new MACDatabase(dir);
+    await db.ready;
+    return db;
+}
+
+describe('MACDatabase access checks', () => {
+    it('answers and logs a check without device info', async () => {
+        const db = await freshDatabase();
+        await db.addMACAddress('00:11:22:33:44:01', 'Office PC', 'unlimited');
+
+        const unknown = await db.checkAccess(['00:11:22:33:44:99']);
+        assert.equal(unknown.reason, 'not_whitelisted');
+
+        const known = await db.checkAccess(['00:11:22:33:44:01']);
+        assert.equal(known.success, true);
+
+        const events = await db.store.list('auditLog');
+        assert.deepEqual(events.map(event => event.outcome).sort(), ['denied', 'granted']);
+        assert.ok(events.every(event => event.ip === null));
+    });
+});
+
+describe('MACDatabase access types', () => {
+    it('refuses access types that have no policy', async () => {
+        const db = await freshDatabase();
+
+        const added = await db.addMACAddress('00:11:22:33:44:01', 'Kiosk', 'superuser');
+        assert.equal(added.success, false);
+        assert.match(added.message, /Invalid access type/);
+        assert.equal(await db.store.get('macAddresses', '00:11:22:33:44:01'), null);
+
+        await db.addMACAddress('00:11:22:33:44:01', 'Kiosk', 'trial', { trialMaxLaunches: 1 });
+        const updated = await db.updateMACAccess('00:11:22:33:44:01', 'bogus');
+        assert.equal(updated.success, false);
+        assert.equal((await db.store.get('macAddresses', '00:11:22:33:44:01')).accessType, 'trial');
+
+        const bulk = await db.bulkAddMACs([{ macAddress: '00:11:22:33:44:02', accessType: 'bogus' }]);
+        assert.equal(bulk.data.results[0].status, 'invalid');
+    });
+});
+
+describe('MACDatabase over a file it cannot load', () => {
+    it('reports a file from a newer version from each call instead of crashing', async () => {
+        const dir = path.join(tempDir, 'newer');
+        await fs.mkdir(dir);
+        await fs.writeFile(path.join(dir, 'mac-whitelist.json'), JSON.stringify({ version: '9.0', macAddresses: [] }));
+
+        const db = new MACDatabase(dir);
+        await db.ready;
+
+        const listed = await db.listMACAddresses();
+        assert.equal(listed.success, false);
+        assert.match(listed.message, /newer than this version supports/);
+
+        const checked = await db.checkAccess(['00:11:22:33:44:01']);
+        assert.equal(checked.success, false);
+        await assert.rejects(db.refresh(), /9\.0 is newer/);
+    });
+});
@@ -0,0 +1,172 @@
+// test/migrations.test.js - Upgrading data files from format 1.0 to the current format, and older SQLite databases
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CURRENT_FORMAT_VERSION, detectFormat, migrateData } from '../lib/storage/migrations.js';
+import { JSONFileStore } from '../lib/storage/index.js';
+
+// As written by the original MACDatabase: macAddresses keyed by MAC, in any notation
+const OBJECT_FILE = {
+    version: '1.0',
+    macAddresses: {
+        'AA-BB-CC-DD-EE-01': { description: 'Office PC', accessType: 'unlimited', addedAt: '2024-01-01T00:00:00.000Z' },
+        'aabb.ccdd.ee02': { description: 'Laptop', accessType: 'trial', accessCount: 4, lastSeen: '2024-02-01T00:00:00.000Z' }
+    }
+};
+
+// As written by api/mac-auth.js: an array, with a duplicate once MACs are canonical
+const ARRAY_FILE = {
+    macAddresses: [
+        { macAddress: 'AA:BB:CC:DD:EE:01', description: 'First', accessType: 'admin', linkedMacs: ['AA-BB-CC-DD-EE-0A'] },
+        { macAddress: 'aa:bb:cc:dd:ee:01', description: 'Second', accessType: 'trial' }
+    ],
+    macLinks: [{ macAddress: 'AA-BB-CC-DD-EE-0A', deviceMac: 'AA:BB:CC:DD:EE:01' }]
+};
+
+describe('format detection', () => {
+    it('tells the 1.0 layouts apart', () => {
+        assert.equal(detectFormat(OBJECT_FILE), '1.0-object');
+        assert.equal(detectFormat(ARRAY_FILE), '1.0');
+        assert.equal(detectFormat({ version: CURRENT_FORMAT_VERSION, macAddresses: [] }), CURRENT_FORMAT_VERSION);
+    });
+
+    it('refuses files from a newer version', () => {
+        assert.throws(() => detectFormat({ version: '9.0', macAddresses: [] }), { code: 'EFORMATVERSION', message: /newer/ });
+    });
+
+    it('refuses files without a whitelist', () => {
+        assert.throws(() => detectFormat({ version: '3.0' }), { code: 'EFORMATVERSION' });
+    });
+});
+
+describe('migrateData', () => {
+    it('upgrades the 1.0 object layout to the current format', async () => {
+        const { data, from, steps } = await migrateData(OBJECT_FILE);
+
+        assert.equal(from, '1.0-object');
+        assert.deepEqual(steps.map(step => step.to), ['1.0', '2.0', '3.0']);
+        assert.equal(data.version, CURRENT_FORMAT_VERSION);
+        assert.deepEqual(data.macAddresses.map(entry => entry.macAddress), ['aa:bb:cc:dd:ee:01', 'aa:bb:cc:dd:ee:02']);
+
+        const [office, laptop] = data.macAddresses;
+        assert.equal(office.accessCount, 0);
+        assert.equal(office.lastSeen, null);
+        assert.equal(laptop.accessCount, 4);
+        assert.equal(laptop.lastSeen, '2024-02-01T00:00:00.000Z');
+    });
+
+    it('canonicalizes links and keeps the first of two entries for one MAC', async () => {
+        const { data } = await migrateData(ARRAY_FILE);
+
+        assert.equal(data.macAddresses.length, 1);
+        assert.equal(data.macAddresses[0].description, 'First');
+        assert.deepEqual(data.macAddresses[0].linkedMacs, ['aa:bb:cc:dd:ee:0a']);
+        assert.deepEqual(data.macLinks, [{ macAddress: 'aa:bb:cc:dd:ee:0a', deviceMac: 'aa:bb:cc:dd:ee:01' }]);
+    });
+
+    it('backs up the data going into each step and leaves the input untouched', async () => {
+        const backups = [];
+        await migrateData(OBJECT_FILE, { backup: async (format, data) => backups.push([format, data]) });
+
+        assert.deepEqual(backups.map(([format]) => format), ['1.0-object', '1.0', '2.0']);
+        assert.deepEqual(backups[0][1], OBJECT_FILE);
+        assert.ok(!Array.isArray(OBJECT_FILE.macAddresses));
+    });
+
+    it('leaves current files as they are', async () => {
+        const current = { version: CURRENT_FORMAT_VERSION, macAddresses: [{ macAddress: 'aa:bb:cc:dd:ee:01' }] };
+        const { data, steps } = await migrateData(current);
+
+        assert.deepEqual(steps, []);
+        assert.deepEqual(data, current);
+    });
+});
+
+describe('JSON file store upgrades', () => {
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-migrations-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('loads a 1.0 file, backs it up and saves it in the current format', async () => {
+        const filePath = path.join(tempDir, 'mac-whitelist.json');
+        await fs.writeFile(filePath, JSON.stringify(OBJECT_FILE));
+
+        const store = new JSONFileStore([{ name: 'Primary', path: filePath }]);
+        await store.load();
+        assert.ok(await store.get('macAddresses', 'aa:bb:cc:dd:ee:02'));
+
+        await store.put('macAddresses', 'aa:bb:cc:dd:ee:03', { macAddress: 'aa:bb:cc:dd:ee:03', accessType: 'trial' });
+        const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        assert.equal(saved.version, CURRENT_FORMAT_VERSION);
+        assert.equal(saved.macAddresses.length, 3);
+
+        const backups = (await fs.readdir(tempDir)).filter(file => file.endsWith('.bak'));
+        assert.equal(backups.length, 3);
+        assert.ok(backups.some(file => file.startsWith('mac-whitelist.json.v1.0-object-')));
+    });
+
+    it('refuses to load a file from a newer version and leaves it alone', async () => {
+        const filePath = path.join(tempDir, 'newer.json');
+        const content = JSON.stringify({ version: '9.0', macAddresses: [] });
+        await fs.writeFile(filePath, content);
+
+        const store = new JSONFileStore([{ name: 'Primary', path: filePath }]);
+        await assert.rejects(store.load(), /newer than this version supports/);
+        assert.match(store.loadError, /9\.0/);
+        assert.equal(await fs.readFile(filePath, 'utf8'), content);
+    });
+});
+
+describe('SQLite store upgrades', () => {
+    let tempDir;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-sqlite-migrations-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('moves access events into the audit log and drops their table', async () => {
+        const { default: Database } = await import('better-sqlite3');
+        const { default: SQLiteStore } = await import('../lib/storage/sqlite-store.js');
+        const filePath = path.join(tempDir, 'whitelist.db');
+
+        // As written before access checks were recorded in the audit log
+        const legacy = new Database(filePath);
+        legacy.exec('CREATE TABLE access_events (id TEXT PRIMARY KEY, mac_address TEXT, timestamp TEXT, success INTEGER NOT NULL DEFAULT 0, data TEXT NOT NULL)');
+        legacy.prepare('INSERT INTO access_events (id, mac_address, timestamp, success, data) VALUES (?, ?, ?, ?, ?)').run(
+            'event-1', 'aa:bb:cc:dd:ee:01', '2024-01-01T00:00:00.000Z', 1,
+            JSON.stringify({
+                id: 'event-1',
+                timestamp: '2024-01-01T00:00:00.000Z',
+                macAddress: 'aa:bb:cc:dd:ee:01',
+                deviceInfo: { hostname: 'office-pc', publicIP: '203.0.113.5' },
+                success: true,
+                message: 'Access granted'
+            })
+        );
+        legacy.close();
+
+        const store = new SQLiteStore(filePath);
+        await store.load();
+
+        const [event] = await store.list('auditLog');
+        assert.equal(event.action, 'check-access');
+        assert.equal(event.outcome, 'granted');
+        assert.equal(event.macAddress, 'aa:bb:cc:dd:ee:01');
+        assert.equal(event.ip, '203.0.113.5');
+        assert.equal(event.timestamp, '2024-01-01T00:00:00.000Z');
+        assert.equal(store.db.prepare("SELECT name FROM sqlite_master WHERE name LIKE '%access_events%'").get(), undefined);
+        store.db.close();
+    });
+});
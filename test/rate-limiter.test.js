@@ -0,0 +1,136 @@
+// test/rate-limiter.test.js - Token buckets, admin lockout and the 429 response
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../lib/storage/index.js';
+import RateLimiter from '../lib/rate-limiter.js';
+import { createApiHandler } from '../lib/api-handler.js';
+
+const ADMIN_KEY = 'test-admin-key-that-is-long-enough-1234';
+const CONFIG = { enabled: true, backend: 'memory', maxAuthFailures: 3, authFailureWindowMinutes: 15, lockoutMinutes: 10 };
+
+function request(ip, body = {}) {
+    return { method: 'POST', query: {}, body, headers: {}, socket: { remoteAddress: ip } };
+}
+
+async function exhaust(limiter, count, makeRequest, action) {
+    let limited = null;
+    for (let i = 0; i < count; i++) {
+        limited = await limiter.check(makeRequest(i), action);
+    }
+    return limited;
+}
+
+describe('rate limiter buckets', () => {
+    it('limits an IP once its bucket is empty and says when to retry', async () => {
+        const limiter = new RateLimiter(CONFIG);
+
+        assert.equal(await exhaust(limiter, 20, () => request('10.0.0.1'), 'check-access'), null);
+        const limited = await limiter.check(request('10.0.0.1'), 'check-access');
+        assert.ok(limited.retryAfterSeconds >= 1);
+        assert.match(limited.message, /Too many requests/);
+
+        // Other clients have buckets of their own
+        assert.equal(await limiter.check(request('10.0.0.2'), 'check-access'), null);
+    });
+
+    it('limits a MAC across IPs whatever notation it is written in', async () => {
+        const limiter = new RateLimiter(CONFIG);
+        const notations = ['00:11:22:33:44:55', '00-11-22-33-44-55', '0011.2233.4455', '001122334455'];
+
+        const last = await exhaust(limiter, 20, i => request(`10.0.1.${i}`, { macAddresses: [notations[i % 4]] }), 'check-access');
+        assert.equal(last, null);
+
+        const limited = await limiter.check(request('10.0.2.1', { macAddresses: ['00:11:22:33:44:55'] }), 'check-access');
+        assert.ok(limited);
+    });
+
+    it('does nothing when disabled', async () => {
+        const limiter = new RateLimiter({ ...CONFIG, enabled: false });
+        assert.equal(await exhaust(limiter, 50, () => request('10.0.0.1'), 'redeem-code'), null);
+    });
+
+    it('keeps local buckets out of a shared store', async () => {
+        const store = new MemoryStore();
+        await store.load();
+        const limiter = new RateLimiter({ ...CONFIG, backend: 'storage' }, store);
+
+        await limiter.check(request('10.0.0.1'), 'health');
+        assert.equal(store.writeStats.attempts, 0);
+
+        await limiter.check(request('10.0.0.1'), 'check-access');
+        assert.equal((await store.list('rateLimits')).length, 1);
+    });
+});
+
+describe('admin lockout', () => {
+    it('locks an IP out of admin actions after too many failures', async () => {
+        const limiter = new RateLimiter(CONFIG);
+        for (let i = 0; i < 3; i++) {
+            await limiter.recordAuthFailure(request('10.0.0.1'));
+        }
+
+        const locked = await limiter.check(request('10.0.0.1'), 'list-macs');
+        assert.ok(locked.retryAfterSeconds > 9 * 60 && locked.retryAfterSeconds <= 10 * 60);
+        assert.match(locked.message, /failed admin authentication/);
+
+        // Public actions and other IPs are not affected
+        assert.equal(await limiter.check(request('10.0.0.1'), 'check-access'), null);
+        assert.equal(await limiter.check(request('10.0.0.2'), 'list-macs'), null);
+        assert.equal((await limiter.status()).lockedOut, 1);
+    });
+
+    it('forgets earlier failures after a successful login', async () => {
+        const limiter = new RateLimiter(CONFIG);
+        await limiter.recordAuthFailure(request('10.0.0.1'));
+        await limiter.recordAuthFailure(request('10.0.0.1'));
+        await limiter.recordAuthSuccess(request('10.0.0.1'));
+        await limiter.recordAuthFailure(request('10.0.0.1'));
+
+        assert.equal(await limiter.check(request('10.0.0.1'), 'list-macs'), null);
+    });
+});
+
+describe('rate limited API responses', () => {
+    let handler;
+
+    before(async () => {
+        delete process.env.RATE_LIMIT_DISABLED;
+        delete process.env.VERCEL;
+        process.env.ADMIN_SECRET_KEY = ADMIN_KEY;
+        process.env.ADMIN_MAX_FAILURES = '2';
+        const store = new MemoryStore();
+        await store.load();
+        handler = createApiHandler(store);
+    });
+
+    function call(action, body) {
+        return new Promise((resolve, reject) => {
+            const headers = {};
+            const res = {
+                statusCode: 200,
+                setHeader(name, value) {
+                    headers[name] = value;
+                },
+                status(code) {
+                    this.statusCode = code;
+                    return this;
+                },
+                json(payload) {
+                    resolve({ status: this.statusCode, headers, body: payload });
+                    return this;
+                }
+            };
+            Promise.resolve(handler({ ...request('10.9.9.9', body), query: { action } }, res)).catch(reject);
+        });
+    }
+
+    it('answers a locked out admin with 429 and Retry-After', async () => {
+        assert.equal((await call('list-macs', { adminKey: 'wrong' })).status, 403);
+        assert.equal((await call('list-macs', { adminKey: 'wrong' })).status, 403);
+
+        const response = await call('list-macs', { adminKey: ADMIN_KEY });
+        assert.equal(response.status, 429);
+        assert.equal(response.headers['Retry-After'], String(response.body.data.retryAfterSeconds));
+        assert.ok(response.body.data.retryAfterSeconds > 0);
+    });
+});
@@ -0,0 +1,192 @@
+// test/storage.test.js - Transactions and rollback on every storage backend
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryStore, JSONFileStore } from '../lib/storage/index.js';
+import { runBulkOperations } from '../lib/bulk-operations.js';
+
+let tempDir;
+
+before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sat-storage-'));
+});
+
+after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+function jsonSources(name) {
+    return ['Primary', 'Backup', 'Fallback'].map(copy => ({
+        name: copy,
+        path: path.join(tempDir, name, `${copy.toLowerCase()}.json`)
+    }));
+}
+
+const BACKENDS = {
+    memory: async () => new MemoryStore(),
+    json: async (name) => new JSONFileStore(jsonSources(name)),
+    sqlite: async (name) => {
+        const { default: SQLiteStore } = await import('../lib/storage/sqlite-store.js');
+        return new SQLiteStore(path.join(tempDir, name, 'whitelist.db'));
+    }
+};
+
+function device(macAddress, fields = {}) {
+    return { macAddress, description: `Device ${macAddress}`, accessType: 'trial', accessCount: 0, ...fields };
+}
+
+for (const [backend, createStore] of Object.entries(BACKENDS)) {
+    describe(`${backend} store`, () => {
+        let store;
+        let counter = 0;
+
+        const freshStore = async () => {
+            store = await createStore(`${backend}-${++counter}`);
+            await store.load();
+            return store;
+        };
+
+        it('commits every write of a transaction together', async () => {
+            await freshStore();
+            await store.transaction(async (tx) => {
+                await tx.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+                await tx.put('deviceGroups', 'g1', { id: 'g1', name: 'Lab' });
+            });
+
+            assert.equal((await store.get('macAddresses', 'aa:bb:cc:dd:ee:01')).description, 'Device aa:bb:cc:dd:ee:01');
+            assert.equal((await store.get('deviceGroups', 'g1')).name, 'Lab');
+        });
+
+        it('sees its own writes before committing them', async () => {
+            await freshStore();
+            await store.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+
+            await store.transaction(async (tx) => {
+                await tx.put('macAddresses', 'aa:bb:cc:dd:ee:02', device('aa:bb:cc:dd:ee:02'));
+                await tx.delete('macAddresses', 'aa:bb:cc:dd:ee:01');
+
+                assert.equal(await tx.get('macAddresses', 'aa:bb:cc:dd:ee:01'), null);
+                assert.deepEqual((await tx.list('macAddresses')).map(entry => entry.macAddress), ['aa:bb:cc:dd:ee:02']);
+                // Nothing reaches the store before the transaction ends
+                assert.ok(await store.get('macAddresses', 'aa:bb:cc:dd:ee:01'));
+            });
+
+            assert.deepEqual((await store.list('macAddresses')).map(entry => entry.macAddress), ['aa:bb:cc:dd:ee:02']);
+        });
+
+        it('discards every write when the transaction throws', async () => {
+            await freshStore();
+            await store.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+
+            await assert.rejects(store.transaction(async (tx) => {
+                const entry = await tx.get('macAddresses', 'aa:bb:cc:dd:ee:01');
+                entry.accessType = 'admin';
+                await tx.put('macAddresses', entry.macAddress, entry);
+                await tx.put('macAddresses', 'aa:bb:cc:dd:ee:02', device('aa:bb:cc:dd:ee:02'));
+                throw new Error('abort');
+            }), /abort/);
+
+            assert.equal((await store.get('macAddresses', 'aa:bb:cc:dd:ee:01')).accessType, 'trial');
+            assert.equal(await store.get('macAddresses', 'aa:bb:cc:dd:ee:02'), null);
+        });
+
+        it('does not let callers change stored records without a write', async () => {
+            await freshStore();
+            await store.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+
+            const entry = await store.get('macAddresses', 'aa:bb:cc:dd:ee:01');
+            entry.accessType = 'admin';
+
+            assert.equal((await store.get('macAddresses', 'aa:bb:cc:dd:ee:01')).accessType, 'trial');
+        });
+
+        it('rolls back a bulk batch when one operation fails', async () => {
+            await freshStore();
+            await store.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+
+            const outcome = await runBulkOperations(store, [
+                { op: 'add', macAddress: 'aa:bb:cc:dd:ee:02', accessType: 'unlimited' },
+                { op: 'update', macAddress: 'aa:bb:cc:dd:ee:01', accessType: 'admin' },
+                { op: 'remove', macAddress: 'aa:bb:cc:dd:ee:99' }
+            ]);
+
+            assert.equal(outcome.applied, false);
+            assert.equal(outcome.summary.failed, 1);
+            assert.equal(await store.get('macAddresses', 'aa:bb:cc:dd:ee:02'), null);
+            assert.equal((await store.get('macAddresses', 'aa:bb:cc:dd:ee:01')).accessType, 'trial');
+        });
+
+        it('applies a bulk batch in order and changes nothing on a dry run', async () => {
+            await freshStore();
+            const operations = [
+                { op: 'add', macAddress: 'AA-BB-CC-DD-EE-03', description: 'Kiosk' },
+                { op: 'update', macAddress: 'aa:bb:cc:dd:ee:03', accessType: 'unlimited' }
+            ];
+
+            const dryRun = await runBulkOperations(store, operations, { dryRun: true });
+            assert.equal(dryRun.applied, false);
+            assert.equal(await store.get('macAddresses', 'aa:bb:cc:dd:ee:03'), null);
+
+            const outcome = await runBulkOperations(store, operations);
+            assert.equal(outcome.applied, true);
+            assert.equal((await store.get('macAddresses', 'aa:bb:cc:dd:ee:03')).accessType, 'unlimited');
+        });
+    });
+}
+
+describe('JSON file store copies', () => {
+    it('reloads committed data from disk and counts revisions', async () => {
+        const sources = jsonSources('reload');
+        const writer = new JSONFileStore(sources);
+        await writer.load();
+        await writer.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+        await writer.put('macAddresses', 'aa:bb:cc:dd:ee:02', device('aa:bb:cc:dd:ee:02'));
+
+        const saved = JSON.parse(await fs.readFile(sources[0].path, 'utf8'));
+        assert.equal(saved.revision, 2);
+        assert.equal(saved.macAddresses.length, 2);
+
+        const reader = new JSONFileStore(sources);
+        await reader.load();
+        assert.equal((await reader.list('macAddresses')).length, 2);
+        assert.equal(reader.loadedFrom, 'Primary');
+    });
+
+    it('falls back to a backup copy when the primary fails its checksum', async () => {
+        const sources = jsonSources('corrupt');
+        const writer = new JSONFileStore(sources);
+        await writer.load();
+        await writer.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+
+        await fs.writeFile(sources[0].path, '{"macAddresses": [], "revision": 99}');
+
+        const reader = new JSONFileStore(sources);
+        await reader.load();
+        assert.equal(reader.loadedFrom, 'Backup');
+        assert.ok(await reader.get('macAddresses', 'aa:bb:cc:dd:ee:01'));
+
+        // The damaged copy is set aside on the next save rather than overwritten
+        await reader.put('macAddresses', 'aa:bb:cc:dd:ee:02', device('aa:bb:cc:dd:ee:02'));
+        const files = await fs.readdir(path.dirname(sources[0].path));
+        assert.ok(files.some(file => file.startsWith('primary.json.corrupt-')));
+    });
+
+    it('appends audit events without rewriting the whitelist copies', async () => {
+        const sources = jsonSources('audit');
+        const store = new JSONFileStore(sources);
+        await store.load();
+        await store.put('macAddresses', 'aa:bb:cc:dd:ee:01', device('aa:bb:cc:dd:ee:01'));
+
+        await store.put('auditLog', 'event-1', { id: 'event-1', action: 'check-access' });
+
+        const saved = JSON.parse(await fs.readFile(sources[0].path, 'utf8'));
+        assert.equal(saved.revision, 1);
+        assert.equal(saved.auditLog, undefined);
+
+        const reader = new JSONFileStore(sources);
+        await reader.load();
+        assert.deepEqual((await reader.list('auditLog')).map(event => event.id), ['event-1']);
+    });
+});